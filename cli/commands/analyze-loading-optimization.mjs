@@ -24,6 +24,7 @@ import round from 'lodash-es/round.js';
 
 /* eslint-disable jsdoc/valid-types */
 /** @typedef {import("web-vitals").LCPMetricWithAttribution} LCPMetricWithAttribution */
+/** @typedef {import("../lib/util/session.mjs").Session} Session */
 /* eslint-enable jsdoc/valid-types */
 
 /**
@@ -35,6 +36,13 @@ import {
 	table,
 	OUTPUT_FORMAT_TABLE,
 } from '../lib/cli/logger.mjs';
+import { createWebVitalsScript } from '../lib/util/web-vitals.mjs';
+import { collectHeaderArgs } from '../lib/cli/args.mjs';
+import {
+	getSessionFromOptions,
+	applySession,
+	runBeforeScript,
+} from '../lib/util/session.mjs';
 
 /**
  * @typedef {Object} Device
@@ -79,24 +87,46 @@ export const options = [
 		description: 'Output format: csv, csv-oneline, table, md, or json',
 		defaults: OUTPUT_FORMAT_TABLE,
 	},
+	{
+		argname: '--cookie-file <file>',
+		description:
+			'File with cookies to set for every request, in Netscape or JSON format',
+	},
+	{
+		argname: '--header <header>',
+		description:
+			'HTTP header to send with every request in "Name: value" format, where multiple headers can be supplied by repeating the argument',
+		defaults: [],
+		parseArg: collectHeaderArgs,
+	},
+	{
+		argname: '--before-script <file>',
+		description:
+			'JavaScript module whose default export is called with the Puppeteer page before analyzing, e.g. to log in',
+	},
 ];
 
 /**
- * @typedef  {Object} Params
- * @property {string} url    - See above.
- * @property {string} output - See above.
+ * @typedef  {Object}  Params
+ * @property {string}  url     - See above.
+ * @property {string}  output  - See above.
+ * @property {Session} session - Cookies, headers, and before script.
  */
 
 /**
- * @param {Object} opt
- * @param {string} opt.url
- * @param {string} opt.output
+ * @param {Object}   opt
+ * @param {string}   opt.url
+ * @param {string}   opt.output
+ * @param {?string}  opt.cookieFile
+ * @param {string[]} opt.header
+ * @param {?string}  opt.beforeScript
  * @return {Params} Parameters.
  */
 function getParamsFromOptions( opt ) {
 	const params = {
 		url: opt.url,
 		output: opt.output,
+		session: getSessionFromOptions( opt ),
 	};
 
 	if (
@@ -133,11 +163,21 @@ export async function handler( opt ) {
 		deviceAnalyses: {},
 	};
 
+	// Run the before script once, e.g. to log in, so that the resulting session state is used for every analysis.
+	const beforeScriptPage = await browser.newPage();
+	const session = await runBeforeScript(
+		beforeScriptPage,
+		params.session,
+		params.url
+	);
+	await beforeScriptPage.close();
+
 	for await ( const [ deviceName, device ] of Object.entries( devices ) ) {
 		urlReport.deviceAnalyses[ deviceName ] = await analyze(
 			browser,
 			params.url,
-			device
+			device,
+			session
 		);
 	}
 
@@ -247,25 +287,32 @@ function outputResults( params, urlReport ) {
  * @param {Browser} browser
  * @param {string}  url
  * @param {Device}  device
+ * @param {Session} session
  * @return {Promise<DeviceAnalysis>} Results
  */
-async function analyze( browser, url, { width, height, userAgent, isMobile } ) {
-	const scriptTag = /* language=JS */ `
-		import { onLCP, onFCP } from "https://unpkg.com/web-vitals@3/dist/web-vitals.attribution.js?module";
-		onFCP( ( report ) => {
+async function analyze(
+	browser,
+	url,
+	{ width, height, userAgent, isMobile },
+	session
+) {
+	const webVitalsScript = createWebVitalsScript(
+		/* language=JS */ `
+		webVitals.onFCP( ( report ) => {
 			// TODO: This doesn't seem like it should be necessary. But without it, LCP is not firing.
 			window.webVitalsFCP = report;
 		} );
-		onLCP( ( report ) => {
+		webVitals.onLCP( ( report ) => {
 			window.webVitalsLCP = report;
 		} );
-	`;
+	`,
+		true
+	);
 
 	const page = await browser.newPage();
 	await page.setUserAgent( userAgent );
-	await page.setBypassCSP( true ); // Bypass CSP so the web vitals script tag can be injected below.
 	await page.setViewport( { width, height } );
-	await page.setExtraHTTPHeaders( {
+	await applySession( page, session, {
 		'Sec-CH-UA-Mobile': isMobile ? '?1' : '?0',
 	} );
 	await page.mainFrame().waitForFunction(
@@ -285,10 +332,12 @@ async function analyze( browser, url, { width, height, userAgent, isMobile } ) {
 		} );
 	}
 
+	// Inject the web-vitals script before navigating so that the page is observed from navigation start.
+	await page.evaluateOnNewDocument( webVitalsScript );
+
 	const response = await page.goto( fetchedUrl.toString(), {
 		waitUntil: 'networkidle0',
 	} );
-	await page.addScriptTag( { content: scriptTag, type: 'module' } );
 
 	if ( response.status() !== 200 ) {
 		throw new Error(
@@ -22,14 +22,24 @@
 import autocannon from 'autocannon';
 import round from 'lodash-es/round.js';
 
+/* eslint-disable jsdoc/valid-types */
+/** @typedef {import("../lib/util/request-spec.mjs").RequestSpec} RequestSpec */
+/** @typedef {import("../lib/util/cache.mjs").CacheBust} CacheBust */
+/** @typedef {import("../lib/util/http-client.mjs").ConnectionTiming} ConnectionTiming */
+/* eslint-enable jsdoc/valid-types */
+
 /**
  * Internal dependencies
  */
 import {
 	collectUrlArgs,
-	getURLs,
+	collectHeaderArgs,
+	getURLEntries,
+	getGroupByFromOptions,
 	shouldLogURLProgress,
+	GROUP_BY_GROUP,
 } from '../lib/cli/args.mjs';
+import { createRecords, saveRecords } from '../lib/cli/samples.mjs';
 import {
 	log,
 	logPartial,
@@ -43,11 +53,46 @@ import {
 	calcPercentile,
 	calcStandardDeviation,
 	calcMedianAbsoluteDeviation,
+	trimValues,
+	excludeIQROutliers,
 } from '../lib/util/math.mjs';
 import {
 	KEY_PERCENTILES,
 	MEDIAN_PERCENTILES,
 } from '../lib/util/percentiles.mjs';
+import {
+	parseServerTiming,
+	getServerTimingDurations,
+	getServerTimingDescriptions,
+} from '../lib/util/server-timing.mjs';
+import {
+	getCacheBustFromOptions,
+	addCacheBust,
+	getCacheStatus,
+} from '../lib/util/cache.mjs';
+import {
+	runRequests,
+	getRawHeadersObject,
+	getRawHeaderValues,
+	PROTOCOL_HTTP1,
+} from '../lib/util/http-client.mjs';
+import {
+	getDefaultRequestSpecFromOptions,
+	readRequestSpecFile,
+	getRequestSpecLabel,
+} from '../lib/util/request-spec.mjs';
+
+const ENGINE_AUTOCANNON = 'autocannon';
+const ENGINE_NODE = 'node';
+
+// Timeout per request in seconds, which is the autocannon default.
+const REQUEST_TIMEOUT = 10;
+
+const METRIC_DNS = 'DNS Lookup';
+const METRIC_TCP = 'TCP Connect';
+const METRIC_TLS = 'TLS Handshake';
+const METRIC_TTFB = 'Time to First Byte';
+const METRIC_DOWNLOAD = 'Content Download';
 
 export const options = [
 	{
@@ -69,7 +114,121 @@ export const options = [
 	},
 	{
 		argname: '-f, --file <file>',
-		description: 'File with URLs to run benchmark tests for',
+		description:
+			'File with URLs to run benchmark tests for, either with one URL per line or as CSV or JSON with "url", "label", and "group" fields',
+	},
+	{
+		argname: '--sitemap <sitemap>',
+		description:
+			'XML sitemap (URL or file) with URLs to run benchmark tests for, e.g. the WordPress core sitemap "https://example.com/wp-sitemap.xml"',
+	},
+	{
+		argname: '--sample <number>',
+		description:
+			'Number of URLs to sample from the sitemap, stratified by sub-sitemap, or maximum number of URLs to crawl',
+	},
+	{
+		argname: '--crawl <depth>',
+		description:
+			'Crawl same-origin links from the given URLs up to the given depth, and run benchmark tests for all discovered URLs',
+	},
+	{
+		argname: '--request-file <file>',
+		description:
+			'JSON file with a list of requests to run benchmark tests for, each with a URL and optionally a method, headers, body, label, and group',
+	},
+	{
+		argname: '-m, --method <method>',
+		description: 'HTTP method to send requests with',
+		defaults: 'GET',
+	},
+	{
+		argname: '--body <body>',
+		description: 'Request body to send',
+	},
+	{
+		argname: '--body-file <file>',
+		description: 'File with the request body to send',
+	},
+	{
+		argname: '--header <header>',
+		description:
+			'HTTP header to send with every request in "Name: value" format, where multiple headers can be supplied by repeating the argument',
+		defaults: [],
+		parseArg: collectHeaderArgs,
+	},
+	{
+		argname: '-d, --duration <seconds>',
+		description:
+			'Number of seconds to send requests for, instead of a fixed number of requests',
+	},
+	{
+		argname: '-r, --rate <rate>',
+		description:
+			'Number of requests per second to send in total, to benchmark under a sustained load',
+	},
+	{
+		argname: '--ramp <rates>',
+		description:
+			'Comma-separated list of rates (requests per second) to benchmark every URL with step by step, e.g. "5,10,20,40"',
+	},
+	{
+		argname: '--engine <engine>',
+		description:
+			'Engine to send the requests with: "autocannon" (default), or "node" for the built-in Node.js client, which supports HTTP/2 and reports the connection phases as metrics',
+	},
+	{
+		argname: '--phases',
+		description:
+			'Whether to break down every request into DNS lookup, TCP connect, TLS handshake, time to first byte, and content download phases, using the "node" engine (requires a concurrency of 1)',
+	},
+	{
+		argname: '--trailers',
+		description:
+			'Whether to also read Server-Timing metrics from response trailers, using the "node" engine',
+	},
+	{
+		argname: '--cache-bust <strategy>',
+		description:
+			'How to bust caches with a random value per request: "none", "query", "header", or "cookie"',
+		defaults: 'query',
+	},
+	{
+		argname: '--cache-bust-param <name>',
+		description:
+			'Name of the query parameter, header, or cookie to bust caches with',
+		defaults: 'rnd',
+	},
+	{
+		argname: '--split-cache-status',
+		description:
+			'Whether to additionally report the samples separately by cache status (hit or miss), based on response headers like "X-Cache"',
+	},
+	{
+		argname: '--warmup <number>',
+		description:
+			'Number of requests to send to every URL before benchmarking, whose results are discarded',
+	},
+	{
+		argname: '--trim <percent>',
+		description:
+			'Percentage of the lowest and highest samples to exclude from every metric',
+	},
+	{
+		argname: '--exclude-outliers',
+		description:
+			'Whether to exclude outliers from every metric, based on the interquartile range (IQR)',
+	},
+	{
+		argname: '--success-codes <codes>',
+		description:
+			'Comma-separated list of HTTP status codes that count as a successful response',
+		defaults: '200',
+	},
+	{
+		argname: '--group-by <field>',
+		description:
+			'Pool the samples of all URLs with the same value for the given field, which must be "group"',
 	},
 	{
 		argname: '-o, --output <output>',
@@ -85,6 +244,11 @@ export const options = [
 		argname: '-v, --show-variance',
 		description: 'Whether to show standard deviation and IQR',
 	},
+	{
+		argname: '--save <file>',
+		description:
+			'File to save all individual samples to as NDJSON, which can later be aggregated with the "report" command',
+	},
 ];
 
 export async function handler( opt ) {
@@ -97,82 +261,707 @@ export async function handler( opt ) {
 		return;
 	}
 
+	let defaultRequestSpec, cacheBust, groupBy;
+	try {
+		defaultRequestSpec = getDefaultRequestSpecFromOptions( opt );
+		cacheBust = getCacheBustFromOptions( opt );
+		groupBy = getGroupByFromOptions( opt );
+	} catch ( err ) {
+		log( formats.error( err.message ) );
+		return;
+	}
+
+	const engine = getEngine( opt );
+	if ( ! [ ENGINE_AUTOCANNON, ENGINE_NODE ].includes( engine ) ) {
+		log(
+			formats.error(
+				`Invalid engine ${ opt.engine }. The engine provided via the --engine argument must be either "autocannon" or "node".`
+			)
+		);
+		return;
+	}
+
+	const phases = Boolean( opt.phases );
+	if ( phases && engine !== ENGINE_NODE ) {
+		log(
+			formats.error(
+				'The --phases argument requires the "node" engine, since autocannon reuses connections.'
+			)
+		);
+		return;
+	}
+
+	const trailers = Boolean( opt.trailers );
+	if ( trailers && engine !== ENGINE_NODE ) {
+		log(
+			formats.error(
+				'The --trailers argument requires the "node" engine, since autocannon ignores trailers.'
+			)
+		);
+		return;
+	}
+
+	// Concurrent requests would compete for the network and the server, which would skew the individual phases.
+	if ( phases && Number( opt.concurrency ) !== 1 ) {
+		log(
+			formats.error(
+				'The --phases argument requires a --concurrency (-c) of 1, so that requests do not affect each other.'
+			)
+		);
+		return;
+	}
+
+	const successCodes = opt.successCodes
+		.split( ',' )
+		.map( ( code ) => Number( code.trim() ) );
+	if (
+		successCodes.some(
+			( code ) => ! Number.isInteger( code ) || code < 100 || code > 599
+		)
+	) {
+		log(
+			formats.error(
+				`Invalid success codes ${ opt.successCodes }. The success codes provided via the --success-codes argument must be a comma-separated list of HTTP status codes.`
+			)
+		);
+		return;
+	}
+
+	const warmup = opt.warmup ? Number( opt.warmup ) : 0;
+	if ( ! Number.isInteger( warmup ) || warmup < 0 ) {
+		log(
+			formats.error(
+				`Invalid warmup ${ opt.warmup }. The number of warmup requests provided via the --warmup argument must be a non-negative integer.`
+			)
+		);
+		return;
+	}
+
+	if ( opt.trim !== undefined ) {
+		const trim = Number( opt.trim );
+		if ( isNaN( trim ) || trim < 0 || trim >= 50 ) {
+			log(
+				formats.error(
+					`Invalid trim ${ opt.trim }. The percentage provided via the --trim argument must be a number between 0 and 50.`
+				)
+			);
+			return;
+		}
+		if ( opt.excludeOutliers ) {
+			log(
+				formats.error(
+					'The --trim argument cannot be combined with the --exclude-outliers argument.'
+				)
+			);
+			return;
+		}
+	}
+
 	const { concurrency: connections, number: amount } = opt;
-	const results = [];
+	const duration = opt.duration ? Number( opt.duration ) : null;
+	const rate = opt.rate ? Number( opt.rate ) : null;
+	const rampRates = opt.ramp
+		? opt.ramp.split( ',' ).map( ( rampRate ) => Number( rampRate.trim() ) )
+		: null;
 
-	// Log progress only under certain conditions (multiple URLs to benchmark).
-	const logURLProgress = shouldLogURLProgress( opt );
+	if ( duration !== null && ! ( duration > 0 ) ) {
+		log(
+			formats.error(
+				`Invalid duration ${ opt.duration }. The duration provided via the --duration (-d) argument must be a positive number of seconds.`
+			)
+		);
+		return;
+	}
 
-	for await ( const url of getURLs( opt ) ) {
-		if ( logURLProgress ) {
-			logPartial( `Benchmarking URL ${ url } ... ` );
+	if ( rate !== null && ! ( rate > 0 ) ) {
+		log(
+			formats.error(
+				`Invalid rate ${ opt.rate }. The rate provided via the --rate (-r) argument must be a positive number of requests per second.`
+			)
+		);
+		return;
+	}
+
+	if ( rampRates && rampRates.some( ( rampRate ) => ! ( rampRate > 0 ) ) ) {
+		log(
+			formats.error(
+				`Invalid ramp ${ opt.ramp }. The ramp provided via the --ramp argument must be a comma-separated list of positive numbers of requests per second.`
+			)
+		);
+		return;
+	}
+
+	if ( rampRates && rate !== null ) {
+		log(
+			formats.error(
+				'The --ramp argument cannot be combined with the --rate (-r) argument.'
+			)
+		);
+		return;
+	}
+
+	// Either benchmark with every rate of the ramp, or with a single (potentially unlimited) rate.
+	const rates = rampRates || [ rate ];
+
+	// Load testing output includes throughput, errors, and timeouts, as well as granular percentiles.
+	const isLoadTest = duration !== null || rate !== null || !! rampRates;
+
+	const benchmarkOptions = {
+		engine,
+		phases,
+		trailers,
+		successCodes,
+		cacheBust,
+		splitCacheStatus: Boolean( opt.splitCacheStatus ),
+	};
+
+	let results = [];
+
+	// Records of the samples to save, if requested.
+	const records = [];
+	const recordParams = {
+		concurrency: Number( connections ),
+		engine,
+		successCodes,
+		cacheBust,
+		duration,
+		rate,
+		ramp: rampRates,
+	};
+
+	// Log progress only under certain conditions (multiple URLs or ramp steps to benchmark).
+	const logURLProgress =
+		shouldLogURLProgress( opt ) || !! opt.requestFile || !! rampRates;
+
+	for await ( const requestSpec of getRequestSpecs(
+		opt,
+		defaultRequestSpec
+	) ) {
+		const { url, method, headers, body } = requestSpec;
+		const requestParams = {
+			url,
+			method,
+			headers,
+			...( body !== null ? { body } : {} ),
+			connections,
+		};
+
+		// Send warmup requests to fill server-side caches such as the opcache, discarding the results.
+		if ( warmup ) {
+			if ( logURLProgress ) {
+				logPartial(
+					`Warming up URL ${ getRequestSpecLabel(
+						requestSpec
+					) } ... `
+				);
+			}
+			try {
+				await benchmarkURL(
+					{
+						...requestParams,
+						amount: warmup,
+					},
+					benchmarkOptions
+				);
+				if ( logURLProgress ) {
+					log( formats.success( 'Success.' ) );
+				}
+			} catch ( err ) {
+				log( formats.error( `Error: ${ err.message }.` ) );
+			}
 		}
 
-		try {
-			const { completeRequests, responseTimes, metrics } =
-				await benchmarkURL( {
-					url,
-					connections,
-					amount,
-				} );
-			results.push( [ url, completeRequests, responseTimes, metrics ] );
+		// When grouping, the results for all requests in a group are shown under the group, to pool them.
+		const requestLabel = getRequestSpecLabel( requestSpec );
+		const resultLabel =
+			groupBy === GROUP_BY_GROUP && requestSpec.group
+				? requestSpec.group
+				: requestLabel;
+
+		for ( const stepRate of rates ) {
+			const rateSuffix = rampRates ? ` (${ stepRate } req/s)` : '';
+			const label = `${ resultLabel }${ rateSuffix }`;
 			if ( logURLProgress ) {
-				log( formats.success( 'Success.' ) );
+				logPartial(
+					`Benchmarking URL ${ requestLabel }${ rateSuffix } ... `
+				);
+			}
+
+			try {
+				const {
+					completeRequests,
+					responseTimes,
+					metrics,
+					descriptions,
+					stats,
+					cacheStatuses,
+					cacheStatusCounts,
+					cacheStatusResults,
+				} = await benchmarkURL(
+					{
+						...requestParams,
+						...( duration !== null ? { duration } : { amount } ),
+						...( stepRate !== null
+							? { overallRate: stepRate }
+							: {} ),
+					},
+					benchmarkOptions
+				);
+				results.push( [
+					label,
+					completeRequests,
+					responseTimes,
+					metrics,
+					descriptions,
+					stats,
+				] );
+				cacheStatusResults.forEach( ( cacheStatusResult ) => {
+					results.push( [
+						`${ label } (cache ${ cacheStatusResult.cacheStatus })`,
+						cacheStatusResult.completeRequests,
+						cacheStatusResult.responseTimes,
+						cacheStatusResult.metrics,
+						descriptions,
+						cacheStatusResult.stats,
+					] );
+				} );
+
+				// Save the samples per request rather than per result row, so that they can be pooled or split again.
+				if ( opt.save ) {
+					records.push(
+						...createRecords( {
+							command: 'benchmark-server-timing',
+							url: `${ requestLabel }${ rateSuffix }`,
+							group: requestSpec.group
+								? `${ requestSpec.group }${ rateSuffix }`
+								: null,
+							requests: stats.requests,
+							completeRequests,
+							metrics: {
+								'Response Time': responseTimes,
+								'Response Size': stats.responseSizes,
+								...metrics,
+							},
+							iterations: stats.iterations,
+							cacheStatuses,
+							cacheStatusCounts,
+							descriptions,
+							params: recordParams,
+						} )
+					);
+				}
+				if ( logURLProgress ) {
+					log( formats.success( 'Success.' ) );
+				}
+			} catch ( err ) {
+				log( formats.error( `Error: ${ err.message }.` ) );
 			}
-		} catch ( err ) {
-			log( formats.error( `Error: ${ err.message }.` ) );
 		}
 	}
 
+	if ( groupBy ) {
+		results = poolResults( results );
+	}
+
 	if ( results.length === 0 ) {
 		log(
 			formats.error(
-				'You need to provide a URL to benchmark via one or more --url (-u) arguments, or a file with one or more URLs via the --file (-f) argument.'
+				'You need to provide a URL to benchmark via one or more --url (-u) arguments, a file with one or more URLs via the --file (-f) argument, a sitemap via the --sitemap argument, or a file with one or more requests via the --request-file argument.'
 			)
 		);
 	} else {
-		outputResults( opt, results );
+		if ( opt.save ) {
+			saveRecords( opt.save, records );
+		}
+		outputResults( opt, results, isLoadTest );
 	}
 }
 
-function benchmarkURL( params ) {
-	const metrics = {};
-	const responseTimes = [];
-	let completeRequests = 0;
+/**
+ * Gets the specs for the requests to benchmark, either from a request file or from the URLs with the default spec.
+ *
+ * @param {Object}                                   opt                Command options.
+ * @param {Omit<RequestSpec, 'url'|'label'|'group'>} defaultRequestSpec Default request spec.
+ * @yield {RequestSpec} Request spec.
+ */
+async function* getRequestSpecs( opt, defaultRequestSpec ) {
+	if ( opt.requestFile ) {
+		// Requests with a path are sent to every URL from the other arguments, e.g. the same REST API request to every site.
+		const baseURLs = [];
+		if (
+			opt.file ||
+			opt.url.length > 0 ||
+			opt.sitemap ||
+			opt.crawl !== undefined
+		) {
+			for await ( const { url } of getURLEntries( opt ) ) {
+				baseURLs.push( url );
+			}
+		}
+		yield* readRequestSpecFile(
+			opt.requestFile,
+			defaultRequestSpec,
+			baseURLs
+		);
+		return;
+	}
+
+	for await ( const { url, label, group } of getURLEntries( opt ) ) {
+		yield { url, ...defaultRequestSpec, label, group };
+	}
+}
 
-	const onHeaders = ( { headers } ) => {
-		const responseMetrics = getServerTimingMetricsFromHeaders( headers );
-		Object.entries( responseMetrics ).forEach( ( [ key, value ] ) => {
-			metrics[ key ] = metrics[ key ] || [];
-			metrics[ key ].push( +value );
+/**
+ * Pools the result rows with the same label, i.e. the rows for all requests in a group, by combining their samples.
+ *
+ * The throughput (and successful throughput) of a pooled row is the average throughput of its rows, since the requests
+ * were benchmarked one after another.
+ *
+ * @param {Array[]} results Result rows.
+ * @return {Array[]} Pooled result rows, in the order in which their labels first occur.
+ */
+function poolResults( results ) {
+	const pooledResults = new Map();
+	const calcAverage = ( values ) =>
+		values.reduce( ( sum, value ) => sum + value, 0 ) / values.length;
+	const getMissingValues = ( count ) => new Array( count ).fill( null );
+	const sumCounts = ( counts, otherCounts ) => {
+		Object.entries( otherCounts ).forEach( ( [ key, count ] ) => {
+			counts[ key ] = ( counts[ key ] || 0 ) + count;
 		} );
 	};
 
-	const onResponse = ( statusCode, resBytes, responseTime ) => {
-		if ( statusCode === 200 ) {
-			completeRequests++;
+	results.forEach(
+		( [
+			label,
+			completeRequests,
+			responseTimes,
+			metrics,
+			descriptions,
+			stats,
+		] ) => {
+			if ( ! pooledResults.has( label ) ) {
+				pooledResults.set( label, {
+					row: [
+						label,
+						0,
+						[],
+						{},
+						{},
+						{
+							requests: 0,
+							throughput: 0,
+							successfulThroughput: 0,
+							statusCodes: {},
+							protocols: {},
+							errors: {},
+							timeouts: 0,
+							responseSizes: [],
+							iterations: [],
+						},
+					],
+					throughputs: [],
+					successfulThroughputs: [],
+				} );
+			}
+			const { row, throughputs, successfulThroughputs } =
+				pooledResults.get( label );
+			// Metrics which are missing for some of the rows are filled with missing values, to keep them lined up.
+			const metricNames = new Set( [
+				...Object.keys( row[ 3 ] ),
+				...Object.keys( metrics ),
+			] );
+			metricNames.forEach( ( key ) => {
+				row[ 3 ][ key ] = [
+					...( row[ 3 ][ key ] ||
+						getMissingValues( row[ 2 ].length ) ),
+					...( metrics[ key ] ||
+						getMissingValues( responseTimes.length ) ),
+				];
+			} );
+			row[ 1 ] += completeRequests;
+			row[ 2 ].push( ...responseTimes );
+			row[ 4 ] = { ...descriptions, ...row[ 4 ] };
+
+			const pooledStats = row[ 5 ];
+			pooledStats.requests += stats.requests;
+			throughputs.push( stats.throughput );
+			successfulThroughputs.push( stats.successfulThroughput );
+			pooledStats.throughput = calcAverage( throughputs );
+			pooledStats.successfulThroughput = calcAverage(
+				successfulThroughputs
+			);
+			sumCounts( pooledStats.statusCodes, stats.statusCodes );
+			sumCounts( pooledStats.protocols, stats.protocols );
+			sumCounts( pooledStats.errors, stats.errors );
+			pooledStats.timeouts += stats.timeouts;
+			pooledStats.responseSizes.push( ...stats.responseSizes );
+			pooledStats.iterations.push( ...stats.iterations );
 		}
+	);
+
+	return [ ...pooledResults.values() ].map( ( { row } ) => row );
+}
+
+/**
+ * Creates an object to collect the samples of the responses in.
+ *
+ * The samples of all metrics line up with the iterations, i.e. the 1-based indexes of the requests in the order in
+ * which they completed. Metrics which are missing for a response have a missing value (`null`) for it.
+ *
+ * @return {Object} Samples.
+ */
+function createSamples() {
+	return {
+		completeRequests: 0,
+		iterations: [],
+		cacheStatuses: [],
+		cacheStatusCounts: {},
+		responseTimes: [],
+		responseSizes: [],
+		statusCodes: {},
+		protocols: {},
+		metrics: {},
+	};
+}
+
+/**
+ * @param {Object}    params                   Autocannon options.
+ * @param {Object}    options                  Benchmark options.
+ * @param {string}    options.engine           Request engine, either 'autocannon' or 'node'.
+ * @param {boolean}   options.phases           Whether to also report the response phases of every request.
+ * @param {boolean}   options.trailers         Whether to also read Server-Timing values from the response trailers.
+ * @param {number[]}  options.successCodes     HTTP status codes that count as a successful response.
+ * @param {CacheBust} options.cacheBust        Cache busting strategy.
+ * @param {boolean}   options.splitCacheStatus Whether to also collect the samples separately by cache status.
+ * @return {Promise<Object>} Results.
+ */
+async function benchmarkURL(
+	params,
+	{ engine, phases, trailers, successCodes, cacheBust, splitCacheStatus }
+) {
+	const samples = createSamples();
+	const samplesByCacheStatus = {};
+	const descriptions = {};
+	const errors = {};
+	let timeouts = 0;
+	let iteration = 0;
+
+	const recordResponse = (
+		target,
+		{ statusCode, size, responseTime, protocol, cacheStatus, metrics }
+	) => {
+		Object.keys( metrics ).forEach( ( key ) => {
+			if ( ! target.metrics[ key ] ) {
+				target.metrics[ key ] = target.responseTimes.map( () => null );
+			}
+		} );
+		const success = successCodes.includes( statusCode );
+		if ( success ) {
+			target.completeRequests++;
+		}
+		target.cacheStatusCounts[ cacheStatus ] = target.cacheStatusCounts[
+			cacheStatus
+		] || { requests: 0, completeRequests: 0 };
+		target.cacheStatusCounts[ cacheStatus ].requests++;
+		if ( success ) {
+			target.cacheStatusCounts[ cacheStatus ].completeRequests++;
+		}
+		target.statusCodes[ statusCode ] =
+			( target.statusCodes[ statusCode ] || 0 ) + 1;
+		target.protocols[ protocol ] =
+			( target.protocols[ protocol ] || 0 ) + 1;
+
+		target.iterations.push( iteration );
+		target.cacheStatuses.push( cacheStatus );
+		target.responseTimes.push( responseTime );
+		target.responseSizes.push( size );
+		Object.entries( target.metrics ).forEach( ( [ key, values ] ) => {
+			values.push( metrics[ key ] !== undefined ? metrics[ key ] : null );
+		} );
+	};
+
+	/** @type {EngineCallbacks} */
+	const callbacks = {
+		onResponse: ( {
+			statusCode,
+			size,
+			responseTime,
+			protocol,
+			headers,
+			serverTimingValues,
+			timing,
+		} ) => {
+			iteration++;
+			const serverTimingMetrics = parseServerTiming( serverTimingValues );
+			Object.entries(
+				getServerTimingDescriptions( serverTimingMetrics )
+			).forEach( ( [ key, value ] ) => {
+				if ( descriptions[ key ] === undefined ) {
+					descriptions[ key ] = value;
+				}
+			} );
+
+			const cacheStatus = getCacheStatus( headers );
+			const response = {
+				statusCode,
+				size,
+				responseTime,
+				protocol,
+				cacheStatus,
+				metrics: {
+					...getPhaseMetrics( timing, phases ),
+					...getServerTimingDurations( serverTimingMetrics ),
+				},
+			};
+			recordResponse( samples, response );
+			if ( splitCacheStatus ) {
+				samplesByCacheStatus[ cacheStatus ] =
+					samplesByCacheStatus[ cacheStatus ] || createSamples();
+				recordResponse( samplesByCacheStatus[ cacheStatus ], response );
+			}
+		},
+		// Group errors by their type, e.g. "ECONNRESET" or "ECONNREFUSED" for socket errors.
+		onError: ( error ) => {
+			iteration++;
+			const type = error.code || error.name || 'Error';
+			errors[ type ] = ( errors[ type ] || 0 ) + 1;
+		},
+		onTimeout: () => {
+			iteration++;
+			timeouts++;
+		},
+	};
+
+	const result =
+		engine === ENGINE_NODE
+			? await runNodeEngine( params, cacheBust, trailers, callbacks )
+			: await runAutocannon( params, cacheBust, callbacks );
+
+	// With a fixed number of requests, the success rate is relative to that number, as before.
+	const requests = params.amount ? Number( params.amount ) : result.sent;
+	const getStats = (
+		target,
+		targetRequests,
+		targetErrors,
+		targetTimeouts
+	) => ( {
+		requests: targetRequests,
+		// The throughput includes all responses, e.g. also error responses when a server fails under load.
+		throughput: result.duration
+			? target.responseTimes.length / result.duration
+			: 0,
+		successfulThroughput: result.duration
+			? target.completeRequests / result.duration
+			: 0,
+		statusCodes: target.statusCodes,
+		protocols: target.protocols,
+		errors: targetErrors,
+		timeouts: targetTimeouts,
+		responseSizes: target.responseSizes,
+		iterations: target.iterations,
+	} );
 
-		responseTimes.push( responseTime );
+	return {
+		responseTimes: samples.responseTimes,
+		completeRequests: samples.completeRequests,
+		metrics: samples.metrics,
+		descriptions,
+		stats: getStats( samples, requests, errors, timeouts ),
+		cacheStatuses: samples.cacheStatuses,
+		cacheStatusCounts: samples.cacheStatusCounts,
+		// Errors and timeouts have no response, so they can't be attributed to a cache status. The success rate per cache
+		// status is therefore relative to the number of responses with that cache status.
+		cacheStatusResults: Object.entries( samplesByCacheStatus ).map(
+			( [ cacheStatus, target ] ) => ( {
+				cacheStatus,
+				responseTimes: target.responseTimes,
+				completeRequests: target.completeRequests,
+				metrics: target.metrics,
+				stats: getStats( target, target.responseTimes.length, {}, 0 ),
+			} )
+		),
 	};
+}
+
+/**
+ * @typedef {Object} EngineResponse
+ * @property {number}                 statusCode         HTTP status code.
+ * @property {number}                 size               Size of the response in bytes, including headers.
+ * @property {number}                 responseTime       Time from sending the request until the response was complete,
+ *                                                       in milliseconds.
+ * @property {string}                 protocol           HTTP protocol, either 'h2' or 'http/1.1'.
+ * @property {Object<string, string>} headers            Response headers, keyed by lowercase name.
+ * @property {string[]}               serverTimingValues Values of the Server-Timing headers and trailers.
+ * @property {?ConnectionTiming}      timing             Timing of the connection phases, if available.
+ */
 
+/**
+ * @typedef {Object} EngineCallbacks
+ * @property {function(EngineResponse): void} onResponse Callback for every response.
+ * @property {function(Error): void}          onError    Callback for every failed request, except for timeouts.
+ * @property {function(): void}               onTimeout  Callback for every request which timed out.
+ */
+
+/**
+ * Sends the requests with autocannon, which reuses HTTP/1.1 connections.
+ *
+ * Autocannon ignores trailers, so Server-Timing values are only read from the response headers.
+ *
+ * @param {Object}          params    Autocannon options.
+ * @param {CacheBust}       cacheBust Cache busting strategy.
+ * @param {EngineCallbacks} callbacks Callbacks.
+ * @return {Promise<{duration: number, sent: number}>} Duration in seconds and number of requests sent.
+ */
+function runAutocannon( params, cacheBust, callbacks ) {
 	const instance = autocannon( {
 		requests: [
 			{
 				setupRequest( req ) {
-					const url = new URL( req.path, 'http://localhost' ); // The base doesn't matter since we're only manipulating the path.
-					url.searchParams.set( 'rnd', String( Math.random() ) );
+					const { url: path, headers } = addCacheBust(
+						cacheBust,
+						req.path,
+						req.headers || {}
+					);
 					return {
 						...req,
-						path: url.pathname + url.search,
+						path,
+						headers,
 					};
 				},
 			},
 		],
 		...params,
 		setupClient( client ) {
-			client.on( 'headers', onHeaders );
-			client.on( 'response', onResponse );
+			// Headers, as well as Server-Timing values from the headers of the current response.
+			let headers = {};
+			let serverTimingValues = [];
+
+			client.on( 'headers', ( { headers: rawHeaders } ) => {
+				headers = getRawHeadersObject( rawHeaders );
+				serverTimingValues = getRawHeaderValues(
+					rawHeaders,
+					'server-timing'
+				);
+			} );
+
+			client.on( 'response', ( statusCode, resBytes, responseTime ) => {
+				callbacks.onResponse( {
+					statusCode,
+					size: resBytes,
+					responseTime,
+					protocol: PROTOCOL_HTTP1,
+					headers,
+					serverTimingValues,
+					timing: null,
+				} );
+
+				headers = {};
+				serverTimingValues = [];
+			} );
+
+			client.on( 'timeout', callbacks.onTimeout );
+			client.on( 'connError', callbacks.onError );
 		},
 	} );
 
@@ -180,59 +969,150 @@ function benchmarkURL( params ) {
 	process.once( 'SIGINT', onStop );
 
 	return new Promise( ( resolve ) => {
-		instance.on( 'done', () => {
+		instance.on( 'done', ( result ) => {
 			process.off( 'SIGINT', onStop );
-			resolve( { responseTimes, completeRequests, metrics } );
+			resolve( {
+				duration: result.duration,
+				sent: result.requests.sent,
+			} );
 		} );
 	} );
 }
 
 /**
- * Reads the Server-Timing metrics from the response headers.
+ * Sends the requests with the built-in Node.js HTTP/2 and HTTP/1.1 clients, using a new connection for every request.
  *
- * @param {Array.<string>} headers Array of response headers information where each even element is a header name and an odd element is the header value.
- * @return {Object} An object where keys are metric names and values are metric values.
+ * @param {Object}          params    Autocannon options, which are mapped to the options of this engine.
+ * @param {CacheBust}       cacheBust Cache busting strategy.
+ * @param {boolean}         trailers  Whether to also read Server-Timing values from the response trailers.
+ * @param {EngineCallbacks} callbacks Callbacks.
+ * @return {Promise<{duration: number, sent: number}>} Duration in seconds and number of requests sent.
  */
-function getServerTimingMetricsFromHeaders( headers ) {
-	for ( let i = 0, len = headers.length; i < len; i += 2 ) {
-		if ( headers[ i ].toLowerCase() !== 'server-timing' ) {
-			continue;
-		}
+async function runNodeEngine( params, cacheBust, trailers, callbacks ) {
+	const controller = new AbortController();
+	const onStop = () => controller.abort();
+	process.once( 'SIGINT', onStop );
 
-		return headers[ i + 1 ]
-			.split( ',' )
-			.map( ( timing ) => timing.trim().split( ';dur=' ) )
-			.reduce(
-				( obj, [ key, value ] ) => ( { ...obj, [ key ]: value } ),
-				{}
-			);
+	try {
+		return await runRequests( {
+			getRequest: () => ( {
+				...addCacheBust( cacheBust, params.url, params.headers || {} ),
+				method: params.method,
+				body: params.body !== undefined ? params.body : null,
+				trailers,
+			} ),
+			connections: Number( params.connections ),
+			amount: params.amount ? Number( params.amount ) : null,
+			duration: params.duration || null,
+			overallRate: params.overallRate || null,
+			timeout: REQUEST_TIMEOUT,
+			signal: controller.signal,
+			onResponse: ( response ) => {
+				callbacks.onResponse( {
+					...response,
+					responseTime:
+						response.timing.ttfb + response.timing.download,
+				} );
+			},
+			onError: callbacks.onError,
+			onTimeout: callbacks.onTimeout,
+		} );
+	} finally {
+		process.off( 'SIGINT', onStop );
 	}
+}
 
-	return {};
+/**
+ * Gets the engine to send the requests with from the command options.
+ *
+ * @param {Object}   opt
+ * @param {?string}  opt.engine
+ * @param {?boolean} opt.phases
+ * @param {?boolean} opt.trailers
+ * @return {string} Engine, which may be invalid if provided via the options.
+ */
+function getEngine( opt ) {
+	if ( opt.engine ) {
+		return opt.engine;
+	}
+	return opt.phases || opt.trailers ? ENGINE_NODE : ENGINE_AUTOCANNON;
 }
 
-function outputResults( opt, results ) {
+/**
+ * Gets the metrics for the phases of a request.
+ *
+ * @param {?ConnectionTiming} timing         Timing of the phases, or null if not available.
+ * @param {boolean}           responsePhases Whether to include the time to first byte and content download phases, in
+ *                                           addition to the connection phases.
+ * @return {Object<string, number>} Durations in milliseconds, keyed by metric name.
+ */
+function getPhaseMetrics( timing, responsePhases ) {
+	if ( ! timing ) {
+		return {};
+	}
+
+	const metrics = {
+		[ METRIC_DNS ]: timing.dns,
+		[ METRIC_TCP ]: timing.tcp,
+	};
+	if ( timing.tls !== null ) {
+		metrics[ METRIC_TLS ] = timing.tls;
+	}
+	if ( responsePhases ) {
+		metrics[ METRIC_TTFB ] = timing.ttfb;
+		metrics[ METRIC_DOWNLOAD ] = timing.download;
+	}
+	return metrics;
+}
+
+function outputResults( opt, results, isLoadTest ) {
 	const len = results.length;
 	const allMetricNames = {};
 
 	for ( let i = 0; i < len; i++ ) {
+		const descriptions = results[ i ][ 4 ];
 		for ( const metric of Object.keys( results[ i ][ 3 ] ) ) {
-			allMetricNames[ metric ] = '';
+			// Use the metric name as label, including its first description if the server provides one.
+			if (
+				! allMetricNames[ metric ] ||
+				( descriptions[ metric ] &&
+					allMetricNames[ metric ] === metric )
+			) {
+				const description = descriptions[ metric ];
+				allMetricNames[ metric ] = description
+					? `${ metric }: ${ description }`
+					: metric;
+			}
 		}
 	}
 
-	const percentiles = opt.showPercentiles
-		? KEY_PERCENTILES
-		: MEDIAN_PERCENTILES;
+	// Latency percentiles are essential to assess a load test, so they are always shown in that case.
+	const showPercentiles = opt.showPercentiles || isLoadTest;
+	const percentiles = showPercentiles ? KEY_PERCENTILES : MEDIAN_PERCENTILES;
 
 	const headings = [ 'URL', 'Success Rate' ];
+	if ( isLoadTest ) {
+		headings.push( 'Throughput (req/s)', 'Successful Throughput (req/s)' );
+	}
+	headings.push( 'Status Codes', 'Timeouts', 'Errors' );
+
+	// Autocannon always uses HTTP/1.1, so the protocols are only relevant for the Node.js engine.
+	const showProtocols = getEngine( opt ) === ENGINE_NODE;
+	if ( showProtocols ) {
+		headings.push( 'Protocols' );
+	}
+
+	const excludeSamples = opt.trim !== undefined || opt.excludeOutliers;
+	if ( excludeSamples ) {
+		headings.push( 'Excluded Samples' );
+	}
 
 	/*
 	 * Alternatively to the if-else below, we could simply iterate through
 	 * the percentiles unconditionally, however in case of median we should
 	 * rather use the easier-to-understand "(median)" label.
 	 */
-	if ( opt.showPercentiles ) {
+	if ( showPercentiles ) {
 		percentiles.forEach( ( percentile ) => {
 			headings.push( `Response Time (p${ percentile })` );
 		} );
@@ -243,14 +1123,18 @@ function outputResults( opt, results ) {
 			headings.push( 'Response Time (IQR)' );
 		}
 
-		Object.keys( allMetricNames ).forEach( ( metricName ) => {
+		percentiles.forEach( ( percentile ) => {
+			headings.push( `Response Size (p${ percentile })` );
+		} );
+
+		Object.values( allMetricNames ).forEach( ( metricLabel ) => {
 			percentiles.forEach( ( percentile ) => {
-				headings.push( `${ metricName } (p${ percentile })` );
+				headings.push( `${ metricLabel } (p${ percentile })` );
 			} );
 			if ( opt.showVariance ) {
-				headings.push( `${ metricName } (SD)` );
-				headings.push( `${ metricName } (MAD)` );
-				headings.push( `${ metricName } (IQR)` );
+				headings.push( `${ metricLabel } (SD)` );
+				headings.push( `${ metricLabel } (MAD)` );
+				headings.push( `${ metricLabel } (IQR)` );
 			}
 		} );
 	} else {
@@ -261,12 +1145,14 @@ function outputResults( opt, results ) {
 			headings.push( 'Response Time (IQR)' );
 		}
 
-		Object.keys( allMetricNames ).forEach( ( metricName ) => {
-			headings.push( `${ metricName } (median)` );
+		headings.push( 'Response Size (median)' );
+
+		Object.values( allMetricNames ).forEach( ( metricLabel ) => {
+			headings.push( `${ metricLabel } (median)` );
 			if ( opt.showVariance ) {
-				headings.push( `${ metricName } (SD)` );
-				headings.push( `${ metricName } (MAD)` );
-				headings.push( `${ metricName } (IQR)` );
+				headings.push( `${ metricLabel } (SD)` );
+				headings.push( `${ metricLabel } (MAD)` );
+				headings.push( `${ metricLabel } (IQR)` );
 			}
 		} );
 	}
@@ -274,19 +1160,63 @@ function outputResults( opt, results ) {
 	const tableData = [];
 
 	for ( let i = 0; i < len; i++ ) {
-		const [ url, completeRequests, responseTimes, metrics ] = results[ i ];
+		const [ url, completeRequests, allResponseTimes, allMetrics, , stats ] =
+			results[ i ];
+
+		// Exclude samples per metric if requested, keeping track of how many were excluded.
+		const excludedCounts = {};
+		const getIncludedSamples = ( metricName, allValues ) => {
+			// Skip the missing values of responses which did not include the metric.
+			const values = allValues.filter( ( value ) => value !== null );
+			if ( ! excludeSamples ) {
+				return values;
+			}
+			const includedValues = opt.excludeOutliers
+				? excludeIQROutliers( values )
+				: trimValues( values, Number( opt.trim ) );
+			if ( includedValues.length < values.length ) {
+				excludedCounts[ metricName ] =
+					values.length - includedValues.length;
+			}
+			return includedValues;
+		};
+		const responseTimes = getIncludedSamples(
+			'Response Time',
+			allResponseTimes
+		);
+		const metrics = {};
+		Object.entries( allMetrics ).forEach( ( [ metricName, values ] ) => {
+			metrics[ metricName ] = getIncludedSamples( metricName, values );
+		} );
+
 		const completionRate = round(
-			( 100 * completeRequests ) / ( opt.number || 1 ),
+			( 100 * completeRequests ) / ( stats.requests || 1 ),
 			1
 		);
 
-		const tableRow = [
-			url,
-			`${ completionRate }%`,
+		const tableRow = [ url, `${ completionRate }%` ];
+		if ( isLoadTest ) {
+			tableRow.push(
+				round( stats.throughput, 2 ),
+				round( stats.successfulThroughput, 2 )
+			);
+		}
+		tableRow.push(
+			formatCounts( stats.statusCodes ),
+			stats.timeouts,
+			formatCounts( stats.errors ) || 0
+		);
+		if ( showProtocols ) {
+			tableRow.push( formatCounts( stats.protocols ) );
+		}
+		if ( excludeSamples ) {
+			tableRow.push( formatCounts( excludedCounts ) || 0 );
+		}
+		tableRow.push(
 			...percentiles.map( ( percentile ) =>
 				round( calcPercentile( percentile, responseTimes ), 2 )
-			),
-		];
+			)
+		);
 
 		if ( opt.showVariance ) {
 			tableRow.push(
@@ -304,6 +1234,14 @@ function outputResults( opt, results ) {
 			);
 		}
 
+		tableRow.push(
+			...percentiles.map( ( percentile ) =>
+				stats.responseSizes.length
+					? round( calcPercentile( percentile, stats.responseSizes ) )
+					: ''
+			)
+		);
+
 		Object.keys( allMetricNames ).forEach( ( metricName ) => {
 			percentiles.forEach( ( percentile ) => {
 				if ( ! metrics[ metricName ] ) {
@@ -357,3 +1295,15 @@ function outputResults( opt, results ) {
 
 	output( table( headings, tableData, opt.output, true ) );
 }
+
+/**
+ * Formats counts keyed by type as a compact list, e.g. "200: 98, 503: 2".
+ *
+ * @param {Object<string, number>} counts Counts, keyed by type.
+ * @return {string} Formatted counts, or an empty string if there are none.
+ */
+function formatCounts( counts ) {
+	return Object.entries( counts )
+		.map( ( [ type, count ] ) => `${ type }: ${ count }` )
+		.join( ', ' );
+}
@@ -23,11 +23,16 @@ import puppeteer, {
 	PredefinedNetworkConditions,
 	KnownDevices,
 } from 'puppeteer';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import round from 'lodash-es/round.js';
 
 /* eslint-disable jsdoc/valid-types */
 /** @typedef {import("puppeteer").NetworkConditions} NetworkConditions */
 /** @typedef {import("puppeteer").Browser} Browser */
+/** @typedef {import("puppeteer").BrowserContext} BrowserContext */
+/** @typedef {import("puppeteer").Page} Page */
 /** @typedef {keyof typeof PredefinedNetworkConditions} NetworkConditionName */
 /** @typedef {import("puppeteer").Device} Device */
 /** @typedef {keyof typeof KnownDevices} KnownDeviceName */
@@ -35,16 +40,24 @@ import round from 'lodash-es/round.js';
 /* eslint-enable jsdoc/valid-types */
 // TODO: deviceScaleFactor, isMobile, isLandscape, hasTouch.
 /** @typedef {{width: number, height: number}} ViewportDimensions */
+/** @typedef {import("../lib/util/session.mjs").Session} Session */
+/** @typedef {import("../lib/util/cache.mjs").CacheBust} CacheBust */
+/** @typedef {import("../lib/util/url-file.mjs").URLEntry} URLEntry */
 
 /**
  * Internal dependencies
  */
 import {
 	getURLs,
+	getURLEntries,
+	getURLEntryName,
+	getGroupByFromOptions,
 	collectUrlArgs,
+	collectHeaderArgs,
 	shouldLogURLProgress,
 	shouldLogIterationsProgress,
 } from '../lib/cli/args.mjs';
+import { createRecords, saveRecords } from '../lib/cli/samples.mjs';
 import {
 	log,
 	logPartial,
@@ -56,13 +69,39 @@ import {
 } from '../lib/cli/logger.mjs';
 import {
 	calcPercentile,
+	calcMedian,
 	calcStandardDeviation,
 	calcMedianAbsoluteDeviation,
+	calcBootstrapConfidenceInterval,
+	calcMannWhitneyU,
 } from '../lib/util/math.mjs';
 import {
 	KEY_PERCENTILES,
 	MEDIAN_PERCENTILES,
 } from '../lib/util/percentiles.mjs';
+import { createWebVitalsScript } from '../lib/util/web-vitals.mjs';
+import {
+	getSessionFromOptions,
+	applySession,
+	runBeforeScript,
+} from '../lib/util/session.mjs';
+import { getTraceMetrics, TRACE_CATEGORIES } from '../lib/util/trace.mjs';
+import {
+	startNetworkRecording,
+	getNetworkMetrics,
+	NETWORK_METRIC_GROUPS,
+} from '../lib/util/network.mjs';
+import {
+	getCacheBustFromOptions,
+	addCacheBust,
+	getCacheBustValue,
+	getCacheStatus,
+	CACHE_BUST_COOKIE,
+} from '../lib/util/cache.mjs';
+
+const VIEW_FIRST = 'first';
+const VIEW_REPEAT = 'repeat';
+const VIEW_BOTH = 'both';
 
 export const options = [
 	{
@@ -79,13 +118,39 @@ export const options = [
 	},
 	{
 		argname: '-f, --file <file>',
-		description: 'File with URLs to run benchmark tests for',
+		description:
+			'File with URLs to run benchmark tests for, either with one URL per line or as CSV or JSON with "url", "label", and "group" fields',
+	},
+	{
+		argname: '--sitemap <sitemap>',
+		description:
+			'XML sitemap (URL or file) with URLs to run benchmark tests for, e.g. the WordPress core sitemap "https://example.com/wp-sitemap.xml"',
+	},
+	{
+		argname: '--sample <number>',
+		description:
+			'Number of URLs to sample from the sitemap, stratified by sub-sitemap, or maximum number of URLs to crawl',
+	},
+	{
+		argname: '--crawl <depth>',
+		description:
+			'Crawl same-origin links from the given URLs up to the given depth, and run benchmark tests for all discovered URLs',
 	},
 	{
 		argname: '-m, --metrics <metrics...>',
 		description:
 			'Which metrics to include; by default these are "FCP", "LCP", "TTFB" and "LCP-TTFB".',
 	},
+	{
+		argname: '--trace-dir <directory>',
+		description:
+			'Directory to save the Chrome performance trace of every request to',
+	},
+	{
+		argname: '--group-by <field>',
+		description:
+			'Pool the samples of all URLs with the same value for the given field, which must be "group"',
+	},
 	{
 		argname: '-o, --output <output>',
 		description: 'Output format: "csv", "table", "md"',
@@ -129,6 +194,62 @@ export const options = [
 		description:
 			'Whether to skip making an initial network-priming request to the URL before the requests to collect metrics.',
 	},
+	{
+		argname: '--view <view>',
+		description:
+			'Which page load to measure: "first" (with an empty cache), "repeat" (after loading the page once to prime the cache), or "both"',
+		defaults: VIEW_FIRST,
+	},
+	{
+		argname: '--cache-bust <strategy>',
+		description:
+			'How to bust caches with a random value per page load: "none", "query", "header", or "cookie"',
+		defaults: 'query',
+	},
+	{
+		argname: '--cache-bust-param <name>',
+		description:
+			'Name of the query parameter, header, or cookie to bust caches with',
+		defaults: 'rnd',
+	},
+	{
+		argname: '--split-cache-status',
+		description:
+			'Whether to additionally report the samples separately by cache status (hit or miss) of the document, based on response headers like "X-Cache"',
+	},
+	{
+		argname: '--cookie-file <file>',
+		description:
+			'File with cookies to set for every request, in Netscape or JSON format',
+	},
+	{
+		argname: '--header <header>',
+		description:
+			'HTTP header to send with every request in "Name: value" format, where multiple headers can be supplied by repeating the argument',
+		defaults: [],
+		parseArg: collectHeaderArgs,
+	},
+	{
+		argname: '--before-script <file>',
+		description:
+			'JavaScript module whose default export is called with the Puppeteer page once per URL before benchmarking, e.g. to log in',
+	},
+	{
+		argname: '--save <file>',
+		description:
+			'File to save all individual samples to as NDJSON, which can later be aggregated with the "report" command',
+	},
+	{
+		argname: '--workers <workers>',
+		description:
+			'Number of browser instances to benchmark URLs with in parallel',
+		defaults: 1,
+	},
+	{
+		argname: '--compare <baseline-and-candidate...>',
+		description:
+			'Compare a baseline and a candidate with interleaved runs, each given as a URL or as a file with a group of URLs',
+	},
 ];
 
 /**
@@ -137,6 +258,8 @@ export const options = [
  * @property {number}              amount             - See above.
  * @property {?string}             file               - See above.
  * @property {?string[]}           metrics            - See above.
+ * @property {?string}             traceDir           - See above.
+ * @property {?string}             groupBy            - See above.
  * @property {string}              output             - See above.
  * @property {boolean}             showPercentiles    - See above.
  * @property {boolean}             showVariance       - See above.
@@ -146,16 +269,23 @@ export const options = [
  * @property {?ViewportDimensions} windowViewport     - See above.
  * @property {?number}             pauseDuration      - See above.
  * @property {boolean}             skipNetworkPriming - See above.
+ * @property {string}              view               - See above.
+ * @property {CacheBust}           cacheBust          - Cache busting strategy and parameter name.
+ * @property {boolean}             splitCacheStatus   - See above.
+ * @property {Session}             session            - Cookies, headers, and before script.
+ * @property {?string}             save               - See above.
+ * @property {number}              workers            - See above.
+ * @property {?string[]}           compare            - See above.
  */
 
 /**
  * @typedef {Object} MetricsDefinitionEntry
- * @property {string}    type     Either 'webVitals', 'serverTiming', or 'aggregate'.
+ * @property {string}    type     Either 'webVitals', 'serverTiming', 'userTiming', 'trace', 'network', or 'aggregate'.
  * @property {?string}   listen   Which event to listen to (only relevant for type 'webVitals').
  * @property {?string}   global   Which JS global to find the metric in (only relevant for type 'webVitals').
  * @property {?string[]} add      Which other metrics to add (only relevant for type 'aggregate').
  * @property {?string[]} subtract Which other metrics to subtract (only relevant for type 'aggregate').
- * @property {?string}   name     Name of the Server-Timing metric (only relevant for type 'serverTiming').
+ * @property {?string}   name     Name of the Server-Timing metric, User Timing mark or measure, trace metric, or network metric (only relevant for types 'serverTiming', 'userTiming', 'trace', and 'network').
  */
 
 /**
@@ -163,7 +293,12 @@ export const options = [
  * @param {string[]}      opt.url
  * @param {string|number} opt.number
  * @param {?string}       opt.file
+ * @param {?string}       opt.sitemap
+ * @param {?string}       opt.sample
+ * @param {?string}       opt.crawl
  * @param {?string[]}     opt.metrics
+ * @param {?string}       opt.traceDir
+ * @param {?string}       opt.groupBy
  * @param {string}        opt.output
  * @param {boolean}       opt.showPercentiles
  * @param {boolean}       opt.showVariance
@@ -173,6 +308,16 @@ export const options = [
  * @param {?string}       opt.windowViewport
  * @param {?string}       opt.pauseDuration
  * @param {boolean}       opt.skipNetworkPriming
+ * @param {string}        opt.view
+ * @param {?string}       opt.cacheBust
+ * @param {?string}       opt.cacheBustParam
+ * @param {boolean}       opt.splitCacheStatus
+ * @param {?string}       opt.cookieFile
+ * @param {string[]}      opt.header
+ * @param {?string}       opt.beforeScript
+ * @param {?string}       opt.save
+ * @param {string|number} opt.workers
+ * @param {?string[]}     opt.compare
  * @return {Params} Parameters.
  */
 function getParamsFromOptions( opt ) {
@@ -188,6 +333,8 @@ function getParamsFromOptions( opt ) {
 			opt.metrics && opt.metrics.length
 				? opt.metrics
 				: [ 'FCP', 'LCP', 'TTFB', 'LCP-TTFB' ],
+		traceDir: opt.traceDir || null,
+		groupBy: getGroupByFromOptions( opt ),
 		output: opt.output,
 		showPercentiles: Boolean( opt.showPercentiles ),
 		showVariance: Boolean( opt.showVariance ),
@@ -196,6 +343,13 @@ function getParamsFromOptions( opt ) {
 		emulateDevice: null,
 		pauseDuration: null,
 		skipNetworkPriming: Boolean( opt.skipNetworkPriming ),
+		view: opt.view,
+		cacheBust: getCacheBustFromOptions( opt ),
+		splitCacheStatus: Boolean( opt.splitCacheStatus ),
+		session: getSessionFromOptions( opt ),
+		save: opt.save || null,
+		workers: Number( opt.workers ),
+		compare: opt.compare || null,
 		windowViewport: ! opt.emulateDevice
 			? { width: 960, height: 700 }
 			: null, // Viewport similar to @wordpress/e2e-test-utils 'large' configuration.
@@ -213,9 +367,40 @@ function getParamsFromOptions( opt ) {
 		);
 	}
 
-	if ( ! params.file && params.url.length === 0 ) {
+	if ( ! [ VIEW_FIRST, VIEW_REPEAT, VIEW_BOTH ].includes( params.view ) ) {
+		throw new Error(
+			`Invalid view ${ opt.view }. The view provided via the --view argument must be either "first", "repeat", or "both".`
+		);
+	}
+
+	if ( ! Number.isInteger( params.workers ) || params.workers < 1 ) {
+		throw new Error(
+			`The --workers argument must be provided a positive integer. Provided: ${ opt.workers }.`
+		);
+	}
+
+	if ( params.compare ) {
+		if ( params.compare.length !== 2 ) {
+			throw new Error(
+				'The --compare argument must be provided exactly two values: the baseline and the candidate, each either a URL or a file with URLs.'
+			);
+		}
+		if (
+			params.file ||
+			params.url.length > 0 ||
+			opt.sitemap ||
+			opt.crawl !== undefined ||
+			params.save ||
+			params.workers > 1 ||
+			params.splitCacheStatus
+		) {
+			throw new Error(
+				'The --compare argument cannot be combined with the --url (-u), --file (-f), --sitemap, --crawl, --save, --workers, or --split-cache-status arguments.'
+			);
+		}
+	} else if ( ! params.file && params.url.length === 0 && ! opt.sitemap ) {
 		throw new Error(
-			'You need to provide a URL to benchmark via one or more --url (-u) arguments, or a file with one or more URLs via the --file (-f) argument.'
+			'You need to provide a URL to benchmark via one or more --url (-u) arguments, a file with one or more URLs via the --file (-f) argument, or a sitemap via the --sitemap argument.'
 		);
 	}
 
@@ -309,10 +494,11 @@ function getParamsFromOptions( opt ) {
  */
 function getMetricsDefinition( metrics ) {
 	/*
-	 * For now this only includes load time metrics.
-	 * In the future, additional Web Vitals like CLS, FID, and INP should be
-	 * added, however they are slightly more complex to retrieve through an
-	 * automated headless browser test.
+	 * Besides the load time metrics, this includes CLS, which is measured by
+	 * scrolling through the page (see `scrollThroughPage()`).
+	 * In the future, INP should be added, however it is more complex to
+	 * retrieve through an automated headless browser test since it requires
+	 * realistic user interactions.
 	 * See https://github.com/GoogleChromeLabs/wpp-research/pull/41.
 	 */
 	const availableMetricsDefinition = {
@@ -331,6 +517,35 @@ function getMetricsDefinition( metrics ) {
 			listen: 'onTTFB',
 			global: 'webVitalsTTFB',
 		},
+		CLS: {
+			type: 'webVitals',
+			listen: 'onCLS',
+			global: 'webVitalsCLS',
+		},
+		TBT: {
+			type: 'trace',
+			name: 'TBT',
+		},
+		LongTasks: {
+			type: 'trace',
+			name: 'LongTasks',
+		},
+		MainThreadScripting: {
+			type: 'trace',
+			name: 'MainThreadScripting',
+		},
+		MainThreadLayout: {
+			type: 'trace',
+			name: 'MainThreadLayout',
+		},
+		Requests: {
+			type: 'network',
+			name: 'Requests',
+		},
+		TransferBytes: {
+			type: 'network',
+			name: 'TransferBytes',
+		},
 		'LCP-TTFB': {
 			type: 'aggregate',
 			add: [ 'LCP' ],
@@ -356,6 +571,98 @@ function getMetricsDefinition( metrics ) {
 		};
 	};
 
+	/**
+	 * User Timing metrics can have any name as well, so for those a generic definition creator is used too.
+	 * These metrics must be prefixed with "UT:", see below.
+	 *
+	 * @param {string} metric
+	 * @return {MetricsDefinitionEntry} User Timing metrics definition entry.
+	 */
+	const getUserTimingDefinition = ( metric ) => {
+		return {
+			type: 'userTiming',
+			name: metric,
+			listen: null,
+			global: null,
+			add: null,
+			subtract: null,
+		};
+	};
+
+	/**
+	 * Request and byte metrics per resource type or party use a generic definition creator too.
+	 * These metrics must be prefixed with "Requests:" or "Bytes:", e.g. "Bytes:image" or "Requests:third-party".
+	 *
+	 * @param {string} metric
+	 * @return {?MetricsDefinitionEntry} Network metrics definition entry, or null if the group is not supported.
+	 */
+	const getNetworkDefinition = ( metric ) => {
+		const group = metric.substring( metric.indexOf( ':' ) + 1 ).trim();
+		if ( ! NETWORK_METRIC_GROUPS.includes( group ) ) {
+			return null;
+		}
+		return {
+			type: 'network',
+			name: metric,
+			listen: null,
+			global: null,
+			add: null,
+			subtract: null,
+		};
+	};
+
+	/**
+	 * Custom aggregate metrics can be supplied as an expression of other metrics, using addition (" + ") and/or
+	 * subtraction (" - "), for example "UT:hydrate-end - FCP".
+	 *
+	 * @param {string} metric
+	 * @return {MetricsDefinitionEntry} Aggregate metrics definition entry.
+	 */
+	const getCustomAggregateDefinition = ( metric ) => {
+		const subtract = [];
+		const add = metric.split( ' + ' ).map( ( part ) => {
+			const subParts = part.split( ' - ' );
+			const first = subParts.shift();
+			subParts.forEach( ( subPart ) => {
+				subtract.push( subPart.trim() );
+			} );
+			return first.trim();
+		} );
+		return {
+			type: 'aggregate',
+			add,
+			subtract: subtract.length ? subtract : null,
+		};
+	};
+
+	/**
+	 * Gets the definition for a metric which is not an aggregate metric.
+	 *
+	 * @param {string} metric
+	 * @return {?MetricsDefinitionEntry} Metrics definition entry, or null if not supported.
+	 */
+	const getBaseDefinition = ( metric ) => {
+		if (
+			availableMetricsDefinition[ metric ] &&
+			availableMetricsDefinition[ metric ].type !== 'aggregate'
+		) {
+			return { ...availableMetricsDefinition[ metric ] };
+		}
+		if ( metric.startsWith( 'ST:' ) ) {
+			return getServerTimingDefinition( metric.substring( 3 ).trim() );
+		}
+		if ( metric.startsWith( 'UT:' ) ) {
+			return getUserTimingDefinition( metric.substring( 3 ).trim() );
+		}
+		if (
+			metric.startsWith( 'Requests:' ) ||
+			metric.startsWith( 'Bytes:' )
+		) {
+			return getNetworkDefinition( metric );
+		}
+		return null;
+	};
+
 	// Set up object with the requested metrics, and store aggregate metrics in a list.
 	/** @type {Object<string, MetricsDefinitionEntry>} */
 	const metricsDefinition = {};
@@ -370,10 +677,15 @@ function getMetricsDefinition( metrics ) {
 			}
 			continue;
 		}
-		if ( metric.startsWith( 'ST:' ) ) {
-			metricsDefinition[ metric ] = getServerTimingDefinition(
-				metric.substring( 3 ).trim()
-			);
+		if ( metric.includes( ' + ' ) || metric.includes( ' - ' ) ) {
+			metricsDefinition[ metric ] =
+				getCustomAggregateDefinition( metric );
+			aggregates.push( metric );
+			continue;
+		}
+		const baseDefinition = getBaseDefinition( metric );
+		if ( baseDefinition ) {
+			metricsDefinition[ metric ] = baseDefinition;
 			continue;
 		}
 		throw new Error( `Supplied metric "${ metric }" is not supported.` );
@@ -381,25 +693,21 @@ function getMetricsDefinition( metrics ) {
 
 	// Add any dependency metrics for aggregate metrics to the object if they aren't already part of it.
 	for ( const metric of aggregates ) {
-		if ( availableMetricsDefinition[ metric ].add ) {
-			for ( const dependencyMetric of availableMetricsDefinition[ metric ]
-				.add ) {
-				if ( ! metricsDefinition[ dependencyMetric ] ) {
-					metricsDefinition[ dependencyMetric ] = {
-						...availableMetricsDefinition[ dependencyMetric ],
-					};
-				}
+		const dependencyMetrics = [
+			...( metricsDefinition[ metric ].add || [] ),
+			...( metricsDefinition[ metric ].subtract || [] ),
+		];
+		for ( const dependencyMetric of dependencyMetrics ) {
+			if ( metricsDefinition[ dependencyMetric ] ) {
+				continue;
 			}
-		}
-		if ( availableMetricsDefinition[ metric ].subtract ) {
-			for ( const dependencyMetric of availableMetricsDefinition[ metric ]
-				.subtract ) {
-				if ( ! metricsDefinition[ dependencyMetric ] ) {
-					metricsDefinition[ dependencyMetric ] = {
-						...availableMetricsDefinition[ dependencyMetric ],
-					};
-				}
+			const dependencyDefinition = getBaseDefinition( dependencyMetric );
+			if ( ! dependencyDefinition ) {
+				throw new Error(
+					`Supplied metric "${ dependencyMetric }" in "${ metric }" is not supported.`
+				);
 			}
+			metricsDefinition[ dependencyMetric ] = dependencyDefinition;
 		}
 	}
 
@@ -408,250 +716,611 @@ function getMetricsDefinition( metrics ) {
 
 export async function handler( opt ) {
 	const params = getParamsFromOptions( opt );
-	const results = [];
+
+	/** @type {Array<{entry: URLEntry, result: Object}>} */
+	const urlResults = [];
+
+	if ( params.traceDir ) {
+		fs.mkdirSync( params.traceDir, { recursive: true } );
+	}
 
 	const metricsDefinition = getMetricsDefinition( params.metrics );
 
-	// Log progress only under certain conditions (multiple URLs to benchmark).
-	const logURLProgress = shouldLogURLProgress( opt );
-	const logIterationsProgress = shouldLogIterationsProgress( opt );
+	if ( params.compare ) {
+		await compareURLs( metricsDefinition, params );
+		return;
+	}
 
-	for await ( const url of getURLs( opt ) ) {
-		if ( logURLProgress ) {
-			// If also logging individual iterations, put those on a new line.
-			if ( logIterationsProgress ) {
-				log( `Benchmarking URL ${ url } ... ` );
-			} else {
-				logPartial( `Benchmarking URL ${ url } ... ` );
-			}
+	if ( params.workers > 1 ) {
+		const entries = [];
+		for await ( const entry of getURLEntries( opt ) ) {
+			entries.push( entry );
 		}
-
-		// Catch Puppeteer errors to prevent the process from getting stuck.
-		try {
-			const { completeRequests, metrics } = await benchmarkURL(
-				url,
+		urlResults.push(
+			...( await benchmarkURLsInParallel(
+				entries,
 				metricsDefinition,
-				params,
-				logIterationsProgress
-			);
-			results.push( [ url, completeRequests, metrics ] );
+				params
+			) )
+		);
+	} else {
+		// Log progress only under certain conditions (multiple URLs to benchmark).
+		const logURLProgress = shouldLogURLProgress( opt );
+		const logIterationsProgress = shouldLogIterationsProgress( opt );
+
+		for await ( const entry of getURLEntries( opt ) ) {
+			const url = entry.url;
 			if ( logURLProgress ) {
-				// If also logging individual iterations, provide more context on benchmarking which URL was completed.
+				// If also logging individual iterations, put those on a new line.
 				if ( logIterationsProgress ) {
-					const message = `Completed benchmarking URL ${ url }.`;
-					if ( 0 === completeRequests ) {
-						log( formats.error( message ) );
+					log( `Benchmarking URL ${ url } ... ` );
+				} else {
+					logPartial( `Benchmarking URL ${ url } ... ` );
+				}
+			}
+
+			// Catch Puppeteer errors to prevent the process from getting stuck.
+			try {
+				const result = await benchmarkURL(
+					url,
+					metricsDefinition,
+					params,
+					logIterationsProgress
+				);
+				const { completeRequests } = result;
+				urlResults.push( { entry, result } );
+				if ( logURLProgress ) {
+					// If also logging individual iterations, provide more context on benchmarking which URL was completed.
+					if ( logIterationsProgress ) {
+						const message = `Completed benchmarking URL ${ url }.`;
+						if ( 0 === completeRequests ) {
+							log( formats.error( message ) );
+						} else {
+							log( formats.success( message ) );
+						}
+					} else if ( 0 === completeRequests ) {
+						log( formats.error( 'Failure.' ) );
 					} else {
-						log( formats.success( message ) );
+						log( formats.success( 'Success.' ) );
 					}
-				} else if ( 0 === completeRequests ) {
-					log( formats.error( 'Failure.' ) );
-				} else {
-					log( formats.success( 'Success.' ) );
 				}
+			} catch ( err ) {
+				log( formats.error( `Error: ${ err.message }.` ) );
 			}
-		} catch ( err ) {
-			log( formats.error( `Error: ${ err.message }.` ) );
 		}
 	}
 
+	let results = urlResults.flatMap( ( { entry, result } ) =>
+		getResultRows(
+			getURLEntryName( entry, params.groupBy ),
+			result,
+			params
+		)
+	);
+	if ( params.groupBy ) {
+		results = poolResults( results );
+	}
+
 	if ( results.length === 0 ) {
 		log( formats.error( 'No results returned.' ) );
 	} else {
+		// Save the samples per URL rather than per result row, so that they can be pooled or split again.
+		if ( params.save ) {
+			saveRecords(
+				params.save,
+				urlResults.flatMap( ( { entry, result } ) =>
+					createRecords( {
+						command: 'benchmark-web-vitals',
+						url: getURLEntryName( entry, null ),
+						group: entry.group || null,
+						requests: params.amount,
+						completeRequests: result.completeRequests,
+						metrics: result.metrics,
+						iterations: result.iterations,
+						cacheStatuses: result.cacheStatuses,
+						cacheStatusCounts: result.cacheStatusCounts,
+						params: {
+							device: opt.emulateDevice || null,
+							networkConditions: opt.networkConditions || null,
+							cpuThrottleFactor: params.cpuThrottleFactor,
+							windowViewport: params.windowViewport,
+							view: params.view,
+							cacheBust: params.cacheBust,
+						},
+					} )
+				)
+			);
+		}
 		outputResults( opt, results );
 	}
 }
 
 /**
- * @param {string}                                 url
- * @param {Object<string, MetricsDefinitionEntry>} metricsDefinition
- * @param {Params}                                 params
- * @param {boolean}                                logProgress
- * @return {Promise<{completeRequests: number, metrics: {}}>} Results
+ * @typedef {Object} ComparisonGroup
+ * @property {string}                   label            Label.
+ * @property {string[]}                 urls             URLs in the group.
+ * @property {number}                   requests         Number of attempted requests.
+ * @property {number}                   completeRequests Number of successful requests.
+ * @property {Object<string, number[]>} metrics          Metric values from all URLs in the group, keyed by metric.
  */
-async function benchmarkURL( url, metricsDefinition, params, logProgress ) {
-	// Group the required metrics by type.
-	const groupedMetrics = {};
-	Object.keys( metricsDefinition ).forEach( ( metric ) => {
-		const metricType = metricsDefinition[ metric ].type;
-		if ( ! groupedMetrics[ metricType ] ) {
-			groupedMetrics[ metricType ] = {};
-		}
-		groupedMetrics[ metricType ][ metric ] = {
-			...metricsDefinition[ metric ],
-			results: [],
-		};
-	} );
-
-	let completeRequests = 0;
-
-	let scriptTag;
 
-	if ( groupedMetrics.webVitals ) {
-		const imports = Object.values( groupedMetrics.webVitals )
-			.map( ( value ) => value.listen )
-			.join( ',' );
-		scriptTag = `import { ${ imports } } from "https://unpkg.com/web-vitals@4/dist/web-vitals.js";`;
-		Object.values( groupedMetrics.webVitals ).forEach( ( value ) => {
-			scriptTag += `${ value.listen }( ( { name, delta } ) => { window.${ value.global } = name === 'CLS' ? delta * 1000 : delta; } );`;
-		} );
+/**
+ * Gets the URLs for a baseline or candidate passed to the --compare argument.
+ *
+ * @param {string} urlOrFile URL, or file with one URL per line.
+ * @return {Promise<string[]>} URLs.
+ */
+async function getComparisonGroupURLs( urlOrFile ) {
+	const opt = {};
+	if ( /^https?:\/\//.test( urlOrFile ) ) {
+		opt.url = urlOrFile;
+	} else if ( fs.existsSync( urlOrFile ) ) {
+		opt.file = urlOrFile;
+	} else {
+		throw new Error(
+			`Supplied comparison value "${ urlOrFile }" is neither a URL nor an existing file.`
+		);
 	}
 
-	/** @type {Browser} */
-	let browser;
-
-	// Prime the network connections so that the initial DNS lookup in the operating system does not negatively impact the initial TTFB metric.
-	if ( ! params.skipNetworkPriming ) {
-		try {
-			browser = await launchBrowser();
-			if ( logProgress ) {
-				log( `Priming network...` );
-			}
-			const page = await browser.newPage();
-			if ( params.emulateDevice ) {
-				await page.emulate( params.emulateDevice );
-			}
-			const urlObj = new URL( url );
-			urlObj.searchParams.append( 'rnd', String( Math.random() ) );
-			await page.goto( urlObj.toString(), {
-				waitUntil: 'domcontentloaded',
-			} );
-			await browser.close();
-			if ( params.pauseDuration ) {
-				await new Promise( ( resolve ) => {
-					setTimeout( resolve, params.pauseDuration );
-				} );
-			}
-		} catch ( err ) {
-			if ( logProgress ) {
-				log(
-					formats.error(
-						`Network priming request failed: ${ err.message }.`
-					)
-				);
-			}
-		} finally {
-			if ( browser ) {
-				await browser.close();
-			}
-		}
+	const urls = [];
+	for await ( const url of getURLs( opt ) ) {
+		urls.push( url );
 	}
+	if ( urls.length === 0 ) {
+		throw new Error( `No URLs found in file "${ urlOrFile }".` );
+	}
+	return urls;
+}
+
+/**
+ * Benchmarks a baseline and a candidate against each other in A/B fashion.
+ *
+ * Rather than benchmarking all iterations of the baseline before those of the candidate, their iterations are
+ * interleaved so that any drift in the conditions on the machine affects both in the same way.
+ *
+ * @param {Object<string, MetricsDefinitionEntry>} metricsDefinition
+ * @param {Params}                                 params
+ */
+async function compareURLs( metricsDefinition, params ) {
+	const [ baselineURLs, candidateURLs ] = await Promise.all(
+		params.compare.map( getComparisonGroupURLs )
+	);
+
+	/** @type {ComparisonGroup[]} */
+	const groups = [
+		{ label: 'Baseline', urls: baselineURLs },
+		{ label: 'Candidate', urls: candidateURLs },
+	].map( ( group ) => ( {
+		...group,
+		requests: 0,
+		completeRequests: 0,
+		metrics: {},
+	} ) );
+
+	// Sessions after running the before script, keyed by URL.
+	const sessions = new Map();
 
 	for ( let requestNum = 0; requestNum < params.amount; requestNum++ ) {
-		try {
-			browser = await launchBrowser();
-			if ( logProgress ) {
+		// Alternate the order so that neither baseline nor candidate consistently benefits from going first.
+		const orderedGroups =
+			requestNum % 2 === 0 ? groups : [ ...groups ].reverse();
+
+		for ( const group of orderedGroups ) {
+			for ( const url of group.urls ) {
 				logPartial(
-					`Benchmarking ${ requestNum + 1 } / ${ params.amount }...`
+					`Benchmarking ${ requestNum + 1 } / ${
+						params.amount
+					} (${ group.label.toLowerCase() }) ${ url } ... `
 				);
-			}
-			const page = await browser.newPage();
-			await page.setBypassCSP( true ); // Bypass CSP so the web vitals script tag can be injected below.
-			if ( params.cpuThrottleFactor ) {
-				await page.emulateCPUThrottling( params.cpuThrottleFactor );
-			}
 
-			if ( params.networkConditions ) {
-				await page.emulateNetworkConditions( params.networkConditions );
-			}
+				group.requests++;
 
-			if ( params.emulateDevice ) {
-				await page.emulate( params.emulateDevice );
-			}
-			if ( params.windowViewport ) {
-				await page.setViewport( {
-					...( params.emulateDevice
-						? params.emulateDevice.viewport
-						: {} ),
-					...params.windowViewport,
-				} );
+				// Catch Puppeteer errors to prevent the process from getting stuck.
+				try {
+					// Only run the before script once for each URL, like when benchmarking a URL without comparison.
+					if ( ! sessions.has( url ) ) {
+						sessions.set(
+							url,
+							await prepareSession( url, params, false )
+						);
+					}
+					const { completeRequests, metrics } = await benchmarkURL(
+						url,
+						metricsDefinition,
+						{
+							...params,
+							amount: 1,
+							session: sessions.get( url ),
+							// Only prime the network before the first iteration for each URL.
+							skipNetworkPriming:
+								params.skipNetworkPriming || requestNum > 0,
+						},
+						false
+					);
+					group.completeRequests += completeRequests;
+					Object.entries( metrics ).forEach( ( [ key, values ] ) => {
+						if ( values ) {
+							group.metrics[ key ] = [
+								...( group.metrics[ key ] || [] ),
+								...values,
+							];
+						}
+					} );
+					if ( 0 === completeRequests ) {
+						log( formats.error( 'Failure.' ) );
+					} else {
+						log( formats.success( 'Success.' ) );
+					}
+				} catch ( err ) {
+					log( formats.error( `Error: ${ err.message }.` ) );
+				}
 			}
+		}
+	}
 
-			// Load the page.
-			const urlObj = new URL( url );
-			urlObj.searchParams.append( 'rnd', String( Math.random() ) );
-
-			// Make sure any username and password in the URL is passed along for authentication.
-			if ( urlObj.username && urlObj.password ) {
-				await page.authenticate( {
-					username: urlObj.username,
-					password: urlObj.password,
-				} );
-			}
+	if ( groups.some( ( group ) => group.completeRequests === 0 ) ) {
+		log( formats.error( 'No results returned.' ) );
+	} else {
+		outputComparison( params, groups );
+	}
+}
 
-			const response = await page.goto( urlObj.toString(), {
-				waitUntil: 'networkidle0',
-			} );
-			if ( scriptTag ) {
-				await page.addScriptTag( {
-					content: scriptTag,
-					type: 'module',
-				} );
-			}
+/**
+ * Benchmarks URLs in parallel, using a pool of browsers.
+ *
+ * Each worker benchmarks one URL at a time with its own browser, using a new incognito browser context for every
+ * request so that the requests remain isolated from each other.
+ *
+ * @param {URLEntry[]}                             entries
+ * @param {Object<string, MetricsDefinitionEntry>} metricsDefinition
+ * @param {Params}                                 params
+ * @return {Promise<Array<{entry: URLEntry, result: Object}>>} Results of the successfully benchmarked URLs, each with
+ *                                                             its URL entry, in the same order as the URLs.
+ */
+async function benchmarkURLsInParallel( entries, metricsDefinition, params ) {
+	const results = [];
+	const cpuCount = os.cpus().length;
+	const cpuTimesBefore = getCPUTimes();
+
+	if ( params.workers > cpuCount ) {
+		log(
+			formats.warning(
+				`Warning: Using more workers (${ params.workers }) than CPU cores (${ cpuCount }) will likely make the results unreliable.`
+			)
+		);
+	}
 
-			if ( response.status() !== 200 ) {
-				throw new Error( `Bad response code ${ response.status() }.` );
+	let nextIndex = 0;
+	const runWorker = async () => {
+		const browser = await launchBrowser( params.view === VIEW_FIRST );
+		try {
+			while ( nextIndex < entries.length ) {
+				const index = nextIndex++;
+				const url = entries[ index ].url;
+
+				// Catch Puppeteer errors to prevent the process from getting stuck.
+				try {
+					const result = await benchmarkURL(
+						url,
+						metricsDefinition,
+						params,
+						false,
+						browser
+					);
+					const { completeRequests } = result;
+					results[ index ] = { entry: entries[ index ], result };
+					const message = `Completed benchmarking URL ${ url }.`;
+					if ( 0 === completeRequests ) {
+						log( formats.error( message ) );
+					} else {
+						log( formats.success( message ) );
+					}
+				} catch ( err ) {
+					log(
+						formats.error(
+							`Error benchmarking URL ${ url }: ${ err.message }.`
+						)
+					);
+				}
 			}
+		} finally {
+			await browser.close();
+		}
+	};
 
-			if ( groupedMetrics.webVitals ) {
-				await Promise.all(
-					Object.values( groupedMetrics.webVitals ).map(
-						async ( value ) => {
-							// Wait until global is populated.
-							await page.waitForFunction(
-								`window.${ value.global } !== undefined`
-							);
+	await Promise.all(
+		Array.from(
+			{ length: Math.min( params.workers, entries.length ) },
+			runWorker
+		)
+	);
+
+	const cpuTimesAfter = getCPUTimes();
+	const cpuUsage =
+		1 -
+		( cpuTimesAfter.idle - cpuTimesBefore.idle ) /
+			( cpuTimesAfter.total - cpuTimesBefore.total );
+	if ( cpuUsage > 0.9 ) {
+		log(
+			formats.warning(
+				`Warning: The average CPU usage was ${ round(
+					100 * cpuUsage,
+					1
+				) }% while benchmarking, so the results are likely unreliable. Consider using fewer workers.`
+			)
+		);
+	}
 
-							/*
-							 * Do a random click, since only that triggers certain metrics
-							 * like LCP, as only a user interaction stops reporting new LCP
-							 * entries. See https://web.dev/lcp/.
-							 *
-							 * Click off screen to prevent clicking a link by accident and navigating away.
-							 */
-							await page.click( 'body', {
-								offset: { x: -500, y: -500 },
-							} );
-							// Get the metric value from the global.
-							const metric =
-								/** @type {number} */ await page.evaluate(
-									( global ) => window[ global ],
-									value.global
-								);
-							value.results.push( metric );
-						}
+	return results.filter( Boolean );
+}
+
+/**
+ * Gets the result rows for a benchmarked URL, including the rows for the samples split by cache status.
+ *
+ * Every row consists of the name, the number of successful requests, the metric values, the number of requests, and
+ * the 1-based index of the request for every metric value.
+ *
+ * @param {string} name   Name to show the results under, i.e. the URL, its label, or its group.
+ * @param {Object} result Result, as returned by `benchmarkURL()`.
+ * @param {Params} params Parameters.
+ * @return {Array[]} Result rows.
+ */
+function getResultRows( name, result, params ) {
+	return [
+		[
+			name,
+			result.completeRequests,
+			result.metrics,
+			params.amount,
+			result.iterations,
+		],
+		// Failed requests have no cache status, so the rows per cache status only include the requests with that status.
+		...result.cacheStatusResults.map(
+			( { cacheStatus, completeRequests, metrics, iterations } ) => [
+				`${ name } (cache ${ cacheStatus })`,
+				completeRequests,
+				metrics,
+				iterations.length,
+				iterations,
+			]
+		),
+	];
+}
+
+/**
+ * Pools the result rows with the same name, i.e. the rows for all URLs in a group, by combining their samples.
+ *
+ * Metrics which are missing for some of the rows are filled with missing values (`null`), so that the values of all
+ * metrics keep lining up with the iterations.
+ *
+ * @param {Array[]} results Result rows.
+ * @return {Array[]} Pooled result rows, in the order in which their names first occur.
+ */
+function poolResults( results ) {
+	const pooledResults = new Map();
+	const getMissingValues = ( count ) => new Array( count ).fill( null );
+	results.forEach(
+		( [ name, completeRequests, metrics, requests, iterations ] ) => {
+			if ( ! pooledResults.has( name ) ) {
+				pooledResults.set( name, [ name, 0, {}, 0, [] ] );
+			}
+			const pooledResult = pooledResults.get( name );
+			pooledResult[ 1 ] += completeRequests;
+			pooledResult[ 3 ] += requests;
+			const metricNames = new Set( [
+				...Object.keys( pooledResult[ 2 ] ),
+				...Object.keys( metrics ).filter(
+					( metric ) => metrics[ metric ]
+				),
+			] );
+			metricNames.forEach( ( metric ) => {
+				pooledResult[ 2 ][ metric ] = [
+					...( pooledResult[ 2 ][ metric ] ||
+						getMissingValues( pooledResult[ 4 ].length ) ),
+					...( metrics[ metric ] ||
+						getMissingValues( iterations.length ) ),
+				];
+			} );
+			pooledResult[ 4 ].push( ...iterations );
+		}
+	);
+	return [ ...pooledResults.values() ];
+}
+
+/**
+ * Gets the idle and total CPU times across all CPU cores since the system was started.
+ *
+ * @return {{idle: number, total: number}} CPU times in milliseconds.
+ */
+function getCPUTimes() {
+	return os.cpus().reduce(
+		( acc, { times } ) => {
+			acc.idle += times.idle;
+			acc.total += Object.values( times ).reduce(
+				( sum, time ) => sum + time,
+				0
+			);
+			return acc;
+		},
+		{ idle: 0, total: 0 }
+	);
+}
+
+/**
+ * @param {string}                                 url
+ * @param {Object<string, MetricsDefinitionEntry>} metricsDefinition
+ * @param {Params}                                 params
+ * @param {boolean}                                logProgress
+ * @param {?Browser}                               sharedBrowser     Optional. Browser to use for all requests, with a new
+ *                                                                   incognito browser context for each request. By
+ *                                                                   default, a new browser is launched per request.
+ * @return {Promise<Object>} Results with `completeRequests`, `metrics`, `iterations`, `cacheStatuses`,
+ *         `cacheStatusCounts`, and `cacheStatusResults`. The metric values line up with the 1-based request indexes in
+ *         `iterations` and the cache status of every request in `cacheStatuses` (null for a failed request). The results
+ *         per cache status are only present with the --split-cache-status argument.
+ */
+async function benchmarkURL(
+	url,
+	metricsDefinition,
+	params,
+	logProgress,
+	sharedBrowser = null
+) {
+	const views =
+		params.view === VIEW_BOTH
+			? [ VIEW_FIRST, VIEW_REPEAT ]
+			: [ params.view ];
+
+	// Group the required metrics by type, separately for every view.
+	const groupedMetricsByView = createGroupedMetricsByView(
+		metricsDefinition,
+		views
+	);
+
+	let completeRequests = 0;
+	const iterations = [];
+	const cacheStatuses = [];
+	const cacheStatusCounts = {};
+
+	// Results of the requests by cache status of the document, if requested.
+	const cacheStatusResults = {};
+
+	let webVitalsScript;
+
+	const groupedMetrics = groupedMetricsByView[ views[ 0 ] ];
+	if ( groupedMetrics.webVitals ) {
+		let listeners = '';
+		Object.values( groupedMetrics.webVitals ).forEach( ( value ) => {
+			// CLS keeps changing while the page is used, so all changes are reported and the latest value is kept.
+			if ( value.listen === 'onCLS' ) {
+				listeners += `webVitals.${ value.listen }( ( { value: clsValue } ) => { window.${ value.global } = clsValue * 1000; }, { reportAllChanges: true } );`;
+				return;
+			}
+			listeners += `webVitals.${ value.listen }( ( { delta } ) => { window.${ value.global } = delta; } );`;
+		} );
+		webVitalsScript = createWebVitalsScript( listeners );
+	}
+
+	/** @type {Browser|BrowserContext} */
+	let browser;
+
+	// Run the before script once, e.g. to log in, so that the resulting session state is carried over to every request.
+	const session = await prepareSession(
+		url,
+		params,
+		logProgress,
+		sharedBrowser
+	);
+
+	// Prime the network connections so that the initial DNS lookup in the operating system does not negatively impact the initial TTFB metric.
+	if ( ! params.skipNetworkPriming ) {
+		try {
+			browser = await openIsolatedBrowser(
+				sharedBrowser,
+				params.view === VIEW_FIRST
+			);
+			if ( logProgress ) {
+				log( `Priming network...` );
+			}
+			const page = await browser.newPage();
+			if ( params.emulateDevice ) {
+				await page.emulate( params.emulateDevice );
+			}
+			const pageUrl = await applySessionAndCacheBust(
+				page,
+				url,
+				session,
+				params.cacheBust
+			);
+			await page.goto( pageUrl, {
+				waitUntil: 'domcontentloaded',
+			} );
+		} catch ( err ) {
+			if ( logProgress ) {
+				log(
+					formats.error(
+						`Network priming request failed: ${ err.message }.`
 					)
-				).catch( () => {
-					/* Ignore errors. */
-				} );
+				);
+			}
+		} finally {
+			if ( browser ) {
+				await browser.close();
+				browser = null;
 			}
+		}
+		if ( params.pauseDuration ) {
+			await new Promise( ( resolve ) => {
+				setTimeout( resolve, params.pauseDuration );
+			} );
+		}
+	}
 
-			if ( groupedMetrics.serverTiming ) {
-				const serverTimingMetrics = await page.evaluate( () => {
-					const entry = performance.getEntries().find(
-						( ent ) => ent instanceof PerformanceNavigationTiming // eslint-disable-line no-undef
-					);
-					// eslint-disable-next-line no-undef
-					if ( entry instanceof PerformanceNavigationTiming ) {
-						return entry.serverTiming.reduce( ( acc, value ) => {
-							acc[ value.name ] = value.duration;
-							return acc;
-						}, {} );
-					}
-					return {};
-				} );
-				Object.values( groupedMetrics.serverTiming ).forEach(
-					( value ) => {
-						if ( serverTimingMetrics[ value.name ] ) {
-							value.results.push(
-								serverTimingMetrics[ value.name ]
-							);
-						}
-					}
+	for ( let requestNum = 0; requestNum < params.amount; requestNum++ ) {
+		// Collect the metrics of every request separately first, so that they can be attributed to a cache status.
+		const requestMetricsByView = createGroupedMetricsByView(
+			metricsDefinition,
+			views
+		);
+		let requestCacheStatus = null;
+
+		// Use the same cache busting value for all page loads of the request, so that the repeat view is the same URL.
+		const requestParams = {
+			...params,
+			cacheBust: {
+				...params.cacheBust,
+				value: getCacheBustValue( params.cacheBust ),
+			},
+		};
+		try {
+			browser = await openIsolatedBrowser(
+				sharedBrowser,
+				params.view === VIEW_FIRST
+			);
+			if ( logProgress ) {
+				logPartial(
+					`Benchmarking ${ requestNum + 1 } / ${ params.amount }...`
 				);
 			}
+			if ( params.view === VIEW_REPEAT ) {
+				// Load the page once without collecting any metrics, to prime the cache for the repeat view.
+				await measurePageLoad(
+					browser,
+					url,
+					{},
+					null,
+					session,
+					requestParams
+				);
+			}
+
+			const viewCacheStatuses = [];
+			for ( const view of views ) {
+				const cacheStatus = await measurePageLoad(
+					browser,
+					url,
+					requestMetricsByView[ view ],
+					webVitalsScript,
+					session,
+					requestParams,
+					params.traceDir
+						? path.join(
+								params.traceDir,
+								getTraceFilename(
+									url,
+									requestNum,
+									params.view === VIEW_BOTH ? view : null
+								)
+						  )
+						: null
+				);
+				viewCacheStatuses.push( cacheStatus );
+			}
 
 			completeRequests++;
+
+			// If both views are measured, the request is attributed to the cache status of the first view.
+			requestCacheStatus = viewCacheStatuses[ 0 ];
 			if ( logProgress ) {
 				log( formats.success( 'Success.' ) );
 			}
@@ -660,8 +1329,45 @@ async function benchmarkURL( url, metricsDefinition, params, logProgress ) {
 				log( formats.error( `Error: ${ err.message }.` ) );
 			}
 		} finally {
+			// Record a value for every metric in every request, so that the results of all metrics line up by request.
+			fillMissingResults( requestMetricsByView );
+			appendGroupedMetricsByView(
+				groupedMetricsByView,
+				requestMetricsByView
+			);
+			iterations.push( requestNum + 1 );
+			cacheStatuses.push( requestCacheStatus );
+			if ( requestCacheStatus ) {
+				cacheStatusCounts[ requestCacheStatus ] = cacheStatusCounts[
+					requestCacheStatus
+				] || { requests: 0, completeRequests: 0 };
+				cacheStatusCounts[ requestCacheStatus ].requests++;
+				cacheStatusCounts[ requestCacheStatus ].completeRequests++;
+			}
+			if ( params.splitCacheStatus && requestCacheStatus ) {
+				if ( ! cacheStatusResults[ requestCacheStatus ] ) {
+					cacheStatusResults[ requestCacheStatus ] = {
+						completeRequests: 0,
+						iterations: [],
+						groupedMetricsByView: createGroupedMetricsByView(
+							metricsDefinition,
+							views
+						),
+					};
+				}
+				cacheStatusResults[ requestCacheStatus ].completeRequests++;
+				cacheStatusResults[ requestCacheStatus ].iterations.push(
+					requestNum + 1
+				);
+				appendGroupedMetricsByView(
+					cacheStatusResults[ requestCacheStatus ]
+						.groupedMetricsByView,
+					requestMetricsByView
+				);
+			}
 			if ( browser ) {
 				await browser.close();
+				browser = null;
 			}
 		}
 
@@ -675,15 +1381,484 @@ async function benchmarkURL( url, metricsDefinition, params, logProgress ) {
 		}
 	}
 
+	return {
+		completeRequests,
+		metrics: getViewMetricResults( groupedMetricsByView, params ),
+		iterations,
+		cacheStatuses,
+		cacheStatusCounts,
+		cacheStatusResults: Object.entries( cacheStatusResults ).map(
+			( [ cacheStatus, result ] ) => ( {
+				cacheStatus,
+				completeRequests: result.completeRequests,
+				iterations: result.iterations,
+				metrics: getViewMetricResults(
+					result.groupedMetricsByView,
+					params
+				),
+			} )
+		),
+	};
+}
+
+/**
+ * Runs the before script of the session for a URL, if any, in its own browser.
+ *
+ * The returned session no longer includes the before script, so that passing it to `benchmarkURL()` does not run the
+ * script again.
+ *
+ * @param {string}   url
+ * @param {Params}   params
+ * @param {boolean}  logProgress
+ * @param {?Browser} sharedBrowser Optional. Browser to create a new incognito browser context in. By default, a new
+ *                                 browser is launched.
+ * @return {Promise<Session>} Session including the cookies after running the before script.
+ */
+async function prepareSession(
+	url,
+	params,
+	logProgress,
+	sharedBrowser = null
+) {
+	if ( ! params.session.beforeScript ) {
+		return params.session;
+	}
+
+	let browser;
+	try {
+		browser = await openIsolatedBrowser(
+			sharedBrowser,
+			params.view === VIEW_FIRST
+		);
+		if ( logProgress ) {
+			log( `Running before script...` );
+		}
+		const page = await browser.newPage();
+		if ( params.emulateDevice ) {
+			await page.emulate( params.emulateDevice );
+		}
+		const session = await runBeforeScript( page, params.session, url );
+		return { ...session, beforeScript: null };
+	} finally {
+		if ( browser ) {
+			await browser.close();
+		}
+	}
+}
+
+/**
+ * Creates the metrics definition entries to collect results in, grouped by type, separately for every view.
+ *
+ * @param {Object<string, MetricsDefinitionEntry>} metricsDefinition
+ * @param {string[]}                               views             Views to measure.
+ * @return {Object<string, Object<string, Object<string, Object>>>} Metrics definition entries with empty results,
+ *                                                                  grouped by type, keyed by view.
+ */
+function createGroupedMetricsByView( metricsDefinition, views ) {
+	const groupedMetricsByView = {};
+	views.forEach( ( view ) => {
+		const groupedMetrics = {};
+		Object.keys( metricsDefinition ).forEach( ( metric ) => {
+			const metricType = metricsDefinition[ metric ].type;
+			if ( ! groupedMetrics[ metricType ] ) {
+				groupedMetrics[ metricType ] = {};
+			}
+			groupedMetrics[ metricType ][ metric ] = {
+				...metricsDefinition[ metric ],
+				results: [],
+			};
+		} );
+		groupedMetricsByView[ view ] = groupedMetrics;
+	} );
+	return groupedMetricsByView;
+}
+
+/**
+ * Appends the results of grouped metrics to other grouped metrics with the same definition.
+ *
+ * @param {Object<string, Object<string, Object<string, Object>>>} target Grouped metrics by view to append to.
+ * @param {Object<string, Object<string, Object<string, Object>>>} source Grouped metrics by view to append.
+ */
+function appendGroupedMetricsByView( target, source ) {
+	Object.entries( source ).forEach( ( [ view, groupedMetrics ] ) => {
+		Object.entries( groupedMetrics ).forEach(
+			( [ metricType, entries ] ) => {
+				Object.entries( entries ).forEach( ( [ metric, value ] ) => {
+					target[ view ][ metricType ][ metric ].results.push(
+						...value.results
+					);
+				} );
+			}
+		);
+	} );
+}
+
+/**
+ * Records a missing value (`null`) for every metric without a result, e.g. a user timing mark which was not emitted.
+ *
+ * This is used for the grouped metrics of a single request, so that every metric has exactly one result per request.
+ *
+ * @param {Object<string, Object<string, Object<string, Object>>>} groupedMetricsByView Grouped metrics by view.
+ */
+function fillMissingResults( groupedMetricsByView ) {
+	Object.values( groupedMetricsByView ).forEach( ( groupedMetrics ) => {
+		Object.values( groupedMetrics ).forEach( ( entries ) => {
+			Object.values( entries ).forEach( ( value ) => {
+				if ( ! value.results.length ) {
+					value.results.push( null );
+				}
+			} );
+		} );
+	} );
+}
+
+/**
+ * Gets the results for the requested metrics, labeled by view if both views are measured.
+ *
+ * @param {Object<string, Object<string, Object<string, Object>>>} groupedMetricsByView Grouped metrics, keyed by view.
+ * @param {Params}                                                 params
+ * @return {Object<string, number[]>} Metric results, keyed by metric name.
+ */
+function getViewMetricResults( groupedMetricsByView, params ) {
+	if ( params.view !== VIEW_BOTH ) {
+		return getMetricResults(
+			groupedMetricsByView[ params.view ],
+			params.metrics
+		);
+	}
+
+	// Label the metrics by view, with the views for each metric next to each other.
+	const views = [ VIEW_FIRST, VIEW_REPEAT ];
+	const metricResultsByView = {};
+	views.forEach( ( view ) => {
+		metricResultsByView[ view ] = getMetricResults(
+			groupedMetricsByView[ view ],
+			params.metrics
+		);
+	} );
+	const metrics = {};
+	for ( const metric of params.metrics ) {
+		views.forEach( ( view ) => {
+			metrics[ getViewMetricName( metric, view ) ] =
+				metricResultsByView[ view ][ metric ];
+		} );
+	}
+	return metrics;
+}
+
+/**
+ * Gets the name to report a metric under for a specific view, when both views are measured.
+ *
+ * @param {string} metric Metric identifier.
+ * @param {string} view   Either 'first' or 'repeat'.
+ * @return {string} Metric name including the view.
+ */
+function getViewMetricName( metric, view ) {
+	return `${ metric } (${ view } view)`;
+}
+
+/**
+ * Gets the names that the requested metrics are reported under.
+ *
+ * @param {Params} params Parameters.
+ * @return {string[]} Metric names.
+ */
+function getViewMetricNames( params ) {
+	if ( params.view !== VIEW_BOTH ) {
+		return params.metrics;
+	}
+	return params.metrics.flatMap( ( metric ) =>
+		[ VIEW_FIRST, VIEW_REPEAT ].map( ( view ) =>
+			getViewMetricName( metric, view )
+		)
+	);
+}
+
+/**
+ * Loads the URL in a new page and adds the collected values to the results of the metrics.
+ *
+ * @param {Browser|BrowserContext}                 browser
+ * @param {string}                                 url
+ * @param {Object<string, Object<string, Object>>} groupedMetrics  Metrics definition entries with results, grouped by type.
+ * @param {?string}                                webVitalsScript
+ * @param {Session}                                session
+ * @param {Params}                                 params
+ * @param {?string}                                traceFile       Optional. File to save the trace to.
+ * @return {Promise<string>} Promise resolving to the cache status of the document ('hit', 'miss', or 'unknown') once
+ *                           done, or rejecting if loading the page failed.
+ */
+async function measurePageLoad(
+	browser,
+	url,
+	groupedMetrics,
+	webVitalsScript,
+	session,
+	params,
+	traceFile = null
+) {
+	const page = await browser.newPage();
+	try {
+		if ( params.cpuThrottleFactor ) {
+			await page.emulateCPUThrottling( params.cpuThrottleFactor );
+		}
+
+		if ( params.networkConditions ) {
+			await page.emulateNetworkConditions( params.networkConditions );
+		}
+
+		if ( params.emulateDevice ) {
+			await page.emulate( params.emulateDevice );
+		}
+		if ( params.windowViewport ) {
+			await page.setViewport( {
+				...( params.emulateDevice
+					? params.emulateDevice.viewport
+					: {} ),
+				...params.windowViewport,
+			} );
+		}
+
+		// Load the page.
+		const urlObj = new URL(
+			await applySessionAndCacheBust(
+				page,
+				url,
+				session,
+				params.cacheBust
+			)
+		);
+
+		// Make sure any username and password in the URL is passed along for authentication.
+		if ( urlObj.username && urlObj.password ) {
+			await page.authenticate( {
+				username: urlObj.username,
+				password: urlObj.password,
+			} );
+		}
+
+		// Inject the web-vitals script before navigating so that the page is observed from navigation start.
+		if ( webVitalsScript ) {
+			await page.evaluateOnNewDocument( webVitalsScript );
+		}
+
+		const shouldTrace = groupedMetrics.trace || traceFile;
+		if ( shouldTrace ) {
+			await page.tracing.start( { categories: TRACE_CATEGORIES } );
+		}
+
+		let stopNetworkRecording;
+		if ( groupedMetrics.network ) {
+			stopNetworkRecording = await startNetworkRecording( page );
+		}
+
+		const response = await page.goto( urlObj.toString(), {
+			waitUntil: 'networkidle0',
+		} );
+
+		if ( response.status() !== 200 ) {
+			throw new Error( `Bad response code ${ response.status() }.` );
+		}
+
+		// Scroll through the page so that layout shifts from content loaded further down (e.g. ads or embeds) are caught.
+		if ( groupedMetrics.webVitals && groupedMetrics.webVitals.CLS ) {
+			await scrollThroughPage( page );
+			await page.evaluate( ( global ) => {
+				// If there were no layout shifts at all, onCLS does not report anything before the page is hidden.
+				if ( window[ global ] === undefined ) {
+					window[ global ] = 0;
+				}
+			}, groupedMetrics.webVitals.CLS.global );
+		}
+
+		if ( groupedMetrics.webVitals ) {
+			await Promise.all(
+				Object.values( groupedMetrics.webVitals ).map(
+					async ( value ) => {
+						// Wait until global is populated.
+						await page.waitForFunction(
+							`window.${ value.global } !== undefined`
+						);
+
+						/*
+						 * Do a random click, since only that triggers certain metrics
+						 * like LCP, as only a user interaction stops reporting new LCP
+						 * entries. See https://web.dev/lcp/.
+						 *
+						 * Click off screen to prevent clicking a link by accident and navigating away.
+						 */
+						await page.click( 'body', {
+							offset: { x: -500, y: -500 },
+						} );
+						// Get the metric value from the global.
+						const metric =
+							/** @type {number} */ await page.evaluate(
+								( global ) => window[ global ],
+								value.global
+							);
+						value.results.push( metric );
+					}
+				)
+			).catch( () => {
+				/* Ignore errors. */
+			} );
+		}
+
+		if ( groupedMetrics.serverTiming ) {
+			const serverTimingMetrics = await page.evaluate( () => {
+				const entry = performance.getEntries().find(
+					( ent ) => ent instanceof PerformanceNavigationTiming // eslint-disable-line no-undef
+				);
+				// eslint-disable-next-line no-undef
+				if ( entry instanceof PerformanceNavigationTiming ) {
+					return entry.serverTiming.reduce( ( acc, value ) => {
+						acc[ value.name ] = value.duration;
+						return acc;
+					}, {} );
+				}
+				return {};
+			} );
+			Object.values( groupedMetrics.serverTiming ).forEach( ( value ) => {
+				if ( serverTimingMetrics[ value.name ] ) {
+					value.results.push( serverTimingMetrics[ value.name ] );
+				}
+			} );
+		}
+
+		if ( groupedMetrics.userTiming ) {
+			const userTimingNames = Object.values(
+				groupedMetrics.userTiming
+			).map( ( value ) => value.name );
+
+			// Wait for the marks and measures, which may be emitted some time after the page has loaded.
+			await page
+				.waitForFunction(
+					( names ) =>
+						names.every(
+							( name ) =>
+								performance.getEntriesByName( name ).length > 0
+						),
+					{ timeout: 5000 },
+					userTimingNames
+				)
+				.catch( () => {
+					/* Ignore errors. */
+				} );
+
+			const userTimingMetrics = await page.evaluate( ( names ) => {
+				return names.reduce( ( acc, name ) => {
+					// Use the duration for a measure, or the start time for a mark.
+					const measures = performance.getEntriesByName(
+						name,
+						'measure'
+					);
+					const marks = performance.getEntriesByName( name, 'mark' );
+					if ( measures.length ) {
+						acc[ name ] = measures[ measures.length - 1 ].duration;
+					} else if ( marks.length ) {
+						acc[ name ] = marks[ marks.length - 1 ].startTime;
+					}
+					return acc;
+				}, {} );
+			}, userTimingNames );
+			Object.values( groupedMetrics.userTiming ).forEach( ( value ) => {
+				if ( userTimingMetrics[ value.name ] !== undefined ) {
+					value.results.push( userTimingMetrics[ value.name ] );
+				}
+			} );
+		}
+
+		if ( shouldTrace ) {
+			// The trace is returned as a Uint8Array, or undefined if it could not be read, which leaves its metrics missing.
+			const traceData = await page.tracing.stop();
+			if ( traceData && traceFile ) {
+				fs.writeFileSync( traceFile, traceData );
+			}
+			if ( traceData && groupedMetrics.trace ) {
+				const traceMetrics = getTraceMetrics(
+					JSON.parse( Buffer.from( traceData ).toString( 'utf8' ) )
+				);
+				// Without a main thread in the trace, its metrics are left missing, like without a trace.
+				if ( traceMetrics ) {
+					Object.values( groupedMetrics.trace ).forEach(
+						( value ) => {
+							value.results.push( traceMetrics[ value.name ] );
+						}
+					);
+				}
+			}
+		}
+
+		if ( stopNetworkRecording ) {
+			const networkMetrics = getNetworkMetrics(
+				await stopNetworkRecording(),
+				url
+			);
+			Object.values( groupedMetrics.network ).forEach( ( value ) => {
+				// Resource types or parties without any requests are not part of the network metrics.
+				value.results.push( networkMetrics[ value.name ] || 0 );
+			} );
+		}
+
+		return getCacheStatus( response.headers() );
+	} finally {
+		await page.close();
+	}
+}
+
+/**
+ * Applies the session and the cache busting strategy to a page.
+ *
+ * A cache busting header is sent with every request of the page, like the session headers. A cache busting cookie is
+ * set for the origin of the URL rather than sent as a header, so that it doesn't override the session cookies.
+ *
+ * @param {Page}      page
+ * @param {string}    url
+ * @param {Session}   session
+ * @param {CacheBust} cacheBust
+ * @return {Promise<string>} URL to load, including the cache busting query parameter if applicable.
+ */
+async function applySessionAndCacheBust( page, url, session, cacheBust ) {
+	if ( cacheBust.strategy === CACHE_BUST_COOKIE ) {
+		await applySession( page, session );
+		await page.setCookie( {
+			name: cacheBust.name,
+			value: getCacheBustValue( cacheBust ),
+			url: new URL( url ).origin,
+		} );
+		return url;
+	}
+
+	const { url: pageUrl, headers } = addCacheBust( cacheBust, url, {} );
+	await applySession( page, session, headers );
+	return pageUrl;
+}
+
+/**
+ * Gets the results for the requested metrics, including aggregate metrics.
+ *
+ * @param {Object<string, Object<string, Object>>} groupedMetrics   Metrics definition entries with results, grouped by type.
+ * @param {string[]}                               requestedMetrics
+ * @return {Object<string, number[]>} Metric results, keyed by metric identifier.
+ */
+function getMetricResults( groupedMetrics, requestedMetrics ) {
 	// Retrieve all base metric values.
 	const metricResults = {};
-	if ( groupedMetrics.webVitals || groupedMetrics.serverTiming ) {
+	if (
+		groupedMetrics.webVitals ||
+		groupedMetrics.serverTiming ||
+		groupedMetrics.userTiming ||
+		groupedMetrics.trace ||
+		groupedMetrics.network
+	) {
 		const baseMetrics = {
 			...( groupedMetrics.webVitals || {} ),
 			...( groupedMetrics.serverTiming || {} ),
+			...( groupedMetrics.userTiming || {} ),
+			...( groupedMetrics.trace || {} ),
+			...( groupedMetrics.network || {} ),
 		};
 		Object.entries( baseMetrics ).forEach( ( [ key, value ] ) => {
-			if ( value.results.length ) {
+			if ( value.results.some( ( result ) => result !== null ) ) {
 				metricResults[ key ] = value.results;
 			}
 		} );
@@ -707,35 +1882,40 @@ async function benchmarkURL( url, metricsDefinition, params, logProgress ) {
 					}
 				}
 
-				// Initialize all values for the metric as 0.
-				metricResults[ key ] = [];
-				const numResults = value.add
-					? metricResults[ value.add[ 0 ] ].length
-					: metricResults[ value.subtract[ 0 ] ].length;
-				for ( let n = 0; n < numResults; n++ ) {
-					metricResults[ key ].push( 0.0 );
-				}
+				// The results of all metrics line up by request, so the partial metric values are combined per request.
+				metricResults[ key ] = metricResults[ partialMetrics[ 0 ] ].map(
+					( partialValue, metricIndex ) => {
+						// Skip the request if any of the partial metrics is missing for it.
+						if (
+							partialMetrics.some(
+								( metricKey ) =>
+									metricResults[ metricKey ][
+										metricIndex
+									] === null
+							)
+						) {
+							return null;
+						}
 
-				// Add and subtract all values.
-				if ( value.add ) {
-					value.add.forEach( ( metricKey ) => {
-						metricResults[ metricKey ].forEach(
-							( metricValue, metricIndex ) => {
-								metricResults[ key ][ metricIndex ] +=
-									metricValue;
-							}
-						);
-					} );
-				}
-				if ( value.subtract ) {
-					value.subtract.forEach( ( metricKey ) => {
-						metricResults[ metricKey ].forEach(
-							( metricValue, metricIndex ) => {
-								metricResults[ key ][ metricIndex ] -=
-									metricValue;
-							}
-						);
-					} );
+						// Add and subtract all values.
+						let metricValue = 0.0;
+						( value.add || [] ).forEach( ( metricKey ) => {
+							metricValue +=
+								metricResults[ metricKey ][ metricIndex ];
+						} );
+						( value.subtract || [] ).forEach( ( metricKey ) => {
+							metricValue -=
+								metricResults[ metricKey ][ metricIndex ];
+						} );
+						return metricValue;
+					}
+				);
+				if (
+					! metricResults[ key ].some(
+						( metricValue ) => metricValue !== null
+					)
+				) {
+					delete metricResults[ key ];
 				}
 			}
 		);
@@ -748,11 +1928,11 @@ async function benchmarkURL( url, metricsDefinition, params, logProgress ) {
 	 * be part of the final list.
 	 */
 	const metrics = {};
-	for ( const metric of params.metrics ) {
+	for ( const metric of requestedMetrics ) {
 		metrics[ metric ] = metricResults[ metric ];
 	}
 
-	return { completeRequests, metrics };
+	return metrics;
 }
 
 function outputResults( opt, results ) {
@@ -801,9 +1981,9 @@ function outputResults( opt, results ) {
 	const tableData = [];
 
 	for ( let i = 0; i < len; i++ ) {
-		const [ url, completeRequests, metrics ] = results[ i ];
+		const [ url, completeRequests, metrics, requests ] = results[ i ];
 		const completionRate = round(
-			( 100 * completeRequests ) / ( opt.number || 1 ),
+			( 100 * completeRequests ) / ( requests || 1 ),
 			1
 		);
 
@@ -863,13 +2043,207 @@ function outputResults( opt, results ) {
 }
 
 /**
- * Launches headless browser with cache disabled.
+ * Outputs the comparison between baseline and candidate.
+ *
+ * For every metric, this includes the difference in medians together with its 95% bootstrap confidence interval, as
+ * well as the p-value of a Mann-Whitney U test.
+ *
+ * @param {Params}            params
+ * @param {ComparisonGroup[]} groups
+ */
+function outputComparison( params, groups ) {
+	const [ baseline, candidate ] = groups;
+
+	const headings = [
+		'Metric',
+		'Baseline (median)',
+		'Candidate (median)',
+		'Difference',
+		'Difference (%)',
+		'95% CI (lower)',
+		'95% CI (upper)',
+		'p-value',
+	];
+
+	const tableData = [
+		[
+			'Success Rate',
+			...groups.map(
+				( group ) =>
+					`${ round(
+						( 100 * group.completeRequests ) / group.requests,
+						1
+					) }%`
+			),
+			'',
+			'',
+			'',
+			'',
+			'',
+		],
+	];
+
+	getViewMetricNames( params ).forEach( ( metricName ) => {
+		const baselineValues = baseline.metrics[ metricName ];
+		const candidateValues = candidate.metrics[ metricName ];
+		if ( ! baselineValues || ! candidateValues ) {
+			tableData.push( [ metricName, '', '', '', '', '', '', '' ] );
+			return;
+		}
+
+		const baselineMedian = calcMedian( baselineValues );
+		const candidateMedian = calcMedian( candidateValues );
+		const difference = candidateMedian - baselineMedian;
+
+		const tableRow = [
+			metricName,
+			round( baselineMedian, 2 ),
+			round( candidateMedian, 2 ),
+			round( difference, 2 ),
+			baselineMedian !== 0
+				? `${ round( ( 100 * difference ) / baselineMedian, 1 ) }%`
+				: '',
+		];
+
+		// The statistics are not meaningful with just a single value on either side.
+		if (
+			countValues( baselineValues ) < 2 ||
+			countValues( candidateValues ) < 2
+		) {
+			tableRow.push( '', '', '' );
+		} else {
+			const [ lower, upper ] = calcBootstrapConfidenceInterval(
+				baselineValues,
+				candidateValues
+			);
+			const { p } = calcMannWhitneyU( baselineValues, candidateValues );
+			tableRow.push(
+				round( lower, 2 ),
+				round( upper, 2 ),
+				round( p, 4 )
+			);
+		}
+
+		tableData.push( tableRow );
+	} );
+
+	output( table( headings, tableData, params.output ) );
+}
+
+/**
+ * Counts the values of a metric, excluding the missing values of requests which did not record the metric.
+ *
+ * @param {Array<?number>} values Metric values.
+ * @return {number} Number of values.
+ */
+function countValues( values ) {
+	return values.filter( ( value ) => value !== null ).length;
+}
+
+/**
+ * Gets the file name for the trace of a request.
+ *
+ * The file name includes a timestamp so that traces from multiple runs for the same URL don't overwrite each other.
+ *
+ * @param {string}  url        URL.
+ * @param {number}  requestNum 0-based index of the request.
+ * @param {?string} view       Optional. View to include in the file name, if multiple views are measured.
+ * @return {string} File name.
+ */
+function getTraceFilename( url, requestNum, view = null ) {
+	const slug = url
+		.replace( /^https?:\/\//, '' )
+		.replace( /[^A-Za-z0-9]+/g, '-' )
+		.replace( /^-|-$/g, '' )
+		.substring( 0, 100 );
+	const suffix = view ? `-${ view }` : '';
+	return `${ slug }-${ requestNum + 1 }${ suffix }-${ Date.now() }.json`;
+}
+
+/**
+ * Opens an isolated browser for a single request.
+ *
+ * If a shared browser is provided, a new incognito browser context is created in it, which does not share cache or
+ * storage with other browser contexts. Otherwise, a new browser is launched.
+ *
+ * @param {?Browser} sharedBrowser Shared browser, or null.
+ * @param {boolean}  disableCache  Whether to disable the cache when launching a new browser.
+ * @return {Promise<Browser|BrowserContext>} Browser or browser context, which needs to be closed after use.
+ */
+async function openIsolatedBrowser( sharedBrowser, disableCache ) {
+	if ( sharedBrowser ) {
+		return sharedBrowser.createBrowserContext();
+	}
+	return launchBrowser( disableCache );
+}
+
+/**
+ * Launches headless browser, by default with cache disabled.
+ *
+ * The cache only needs to be enabled to measure a repeat view, for which the page is loaded again in the same browser.
  *
+ * @param {boolean} disableCache Optional. Whether to disable the cache. Default true.
  * @return {Promise<Browser>} Browser.
  */
-async function launchBrowser() {
+async function launchBrowser( disableCache = true ) {
 	return puppeteer.launch( {
 		headless: true,
-		args: [ '--disable-cache' ],
+		args: disableCache ? [ '--disable-cache' ] : [],
+	} );
+}
+
+/**
+ * Scrolls the page to the bottom and back to the top in steps, then waits for the layout to settle.
+ *
+ * This triggers lazy-loaded content (e.g. images, ads, or embeds) so that any layout shifts it causes are included
+ * in the CLS metric.
+ *
+ * @param {Page} page Page.
+ * @return {Promise<void>} Promise resolving once done.
+ */
+async function scrollThroughPage( page ) {
+	await page.evaluate( async () => {
+		const wait = ( milliseconds ) =>
+			new Promise( ( resolve ) => {
+				setTimeout( resolve, milliseconds );
+			} );
+		const step = Math.max( Math.round( window.innerHeight / 2 ), 1 );
+
+		for (
+			let y = step;
+			y < document.documentElement.scrollHeight - window.innerHeight;
+			y += step
+		) {
+			window.scrollTo( { top: y, behavior: 'instant' } );
+			await wait( 100 );
+		}
+		window.scrollTo( {
+			top: document.documentElement.scrollHeight,
+			behavior: 'instant',
+		} );
+		await wait( 100 );
+
+		for ( let y = window.scrollY - step; y > 0; y -= step ) {
+			window.scrollTo( { top: y, behavior: 'instant' } );
+			await wait( 100 );
+		}
+		window.scrollTo( { top: 0, behavior: 'instant' } );
 	} );
+
+	// Wait for any content loaded as a result of scrolling, e.g. lazy-loaded images.
+	await page
+		.waitForNetworkIdle( { idleTime: 500, timeout: 10000 } )
+		.catch( () => {
+			/* Ignore errors. */
+		} );
+
+	// Wait for the layout to settle, i.e. for two more frames to be rendered.
+	await page.evaluate(
+		() =>
+			new Promise( ( resolve ) => {
+				window.requestAnimationFrame( () => {
+					window.requestAnimationFrame( resolve );
+				} );
+			} )
+	);
 }
@@ -0,0 +1,302 @@
+/**
+ * CLI command to aggregate raw benchmark samples saved by the benchmark commands.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import round from 'lodash-es/round.js';
+
+/**
+ * Internal dependencies
+ */
+import {
+	readRecords,
+	RECORD_TYPE_RUN,
+	RECORD_TYPE_SAMPLE,
+} from '../lib/cli/samples.mjs';
+import { getGroupByFromOptions, GROUP_BY_GROUP } from '../lib/cli/args.mjs';
+import {
+	log,
+	output,
+	formats,
+	table,
+	isValidTableFormat,
+	OUTPUT_FORMAT_TABLE,
+} from '../lib/cli/logger.mjs';
+import {
+	calcPercentile,
+	calcStandardDeviation,
+	calcMedianAbsoluteDeviation,
+} from '../lib/util/math.mjs';
+import {
+	KEY_PERCENTILES,
+	MEDIAN_PERCENTILES,
+} from '../lib/util/percentiles.mjs';
+
+export const options = [
+	{
+		argname: '-i, --input <file...>',
+		description:
+			'One or more NDJSON files with samples saved via the --save argument of a benchmark command',
+		required: true,
+	},
+	{
+		argname: '-o, --output <output>',
+		description: 'Output format: "csv", "table", "md"',
+		defaults: OUTPUT_FORMAT_TABLE,
+	},
+	{
+		argname: '-p, --show-percentiles',
+		description:
+			'Whether to show more granular percentiles instead of only the median',
+	},
+	{
+		argname: '-v, --show-variance',
+		description: 'Whether to show standard deviation and IQR',
+	},
+	{
+		argname: '--group-by <field>',
+		description:
+			'Pool the samples of all URLs in the same group; the only supported value is "group"',
+	},
+	{
+		argname: '--split-cache-status',
+		description:
+			'Whether to additionally report the samples of every URL separately by cache status',
+	},
+];
+
+/**
+ * @typedef {Object} URLResult
+ * @property {string}                   url              URL.
+ * @property {number}                   requests         Number of requests made across all runs.
+ * @property {number}                   completeRequests Number of successful requests across all runs.
+ * @property {Object<string, number[]>} metrics          Metric values across all runs, keyed by metric name.
+ */
+
+/**
+ * @typedef {Object} RowResults
+ * @property {URLResult}                 result             Result of the URL or group.
+ * @property {Object<string, URLResult>} cacheStatusResults Results of the URL or group by cache status, if the
+ *                                                          samples are split by cache status.
+ */
+
+/**
+ * @param {Object}   opt
+ * @param {string[]} opt.input
+ * @param {string}   opt.output
+ * @param {boolean}  opt.showPercentiles
+ * @param {boolean}  opt.showVariance
+ * @param {?string}  opt.groupBy
+ * @param {boolean}  opt.splitCacheStatus
+ */
+export async function handler( opt ) {
+	if ( ! isValidTableFormat( opt.output ) ) {
+		throw new Error(
+			`Invalid output ${ opt.output }. The output format provided via the --output (-o) argument must be either "table", "csv", or "md".`
+		);
+	}
+
+	const groupBy = getGroupByFromOptions( opt );
+
+	const records = await readRecords( opt.input );
+
+	/** @type {Map<string, RowResults>} */
+	const rowResults = new Map();
+	const metricNames = new Set();
+	const descriptions = {};
+	const runParams = new Set();
+
+	const createResult = ( url ) => ( {
+		url,
+		requests: 0,
+		completeRequests: 0,
+		metrics: {},
+	} );
+
+	// Like in the benchmark commands, the samples of a URL are pooled under its group, and split by cache status.
+	const getRowResults = ( record ) => {
+		const name =
+			groupBy === GROUP_BY_GROUP && record.group
+				? record.group
+				: record.url;
+		if ( ! rowResults.has( name ) ) {
+			rowResults.set( name, {
+				result: createResult( name ),
+				cacheStatusResults: {},
+			} );
+		}
+		return rowResults.get( name );
+	};
+	const getCacheStatusResult = ( { result, cacheStatusResults }, status ) => {
+		if ( ! cacheStatusResults[ status ] ) {
+			cacheStatusResults[ status ] = createResult(
+				`${ result.url } (cache ${ status })`
+			);
+		}
+		return cacheStatusResults[ status ];
+	};
+	const addSample = ( result, record ) => {
+		if ( ! result.metrics[ record.metric ] ) {
+			result.metrics[ record.metric ] = [];
+		}
+		result.metrics[ record.metric ].push( record.value );
+	};
+
+	records.forEach( ( record ) => {
+		const row = getRowResults( record );
+		if ( record.type === RECORD_TYPE_RUN ) {
+			row.result.requests += record.requests;
+			row.result.completeRequests += record.completeRequests;
+			if ( opt.splitCacheStatus ) {
+				Object.entries( record.cacheStatuses || {} ).forEach(
+					( [ status, counts ] ) => {
+						const result = getCacheStatusResult( row, status );
+						result.requests += counts.requests;
+						result.completeRequests += counts.completeRequests;
+					}
+				);
+			}
+			Object.entries( record.descriptions || {} ).forEach(
+				( [ metric, description ] ) => {
+					if ( descriptions[ metric ] === undefined ) {
+						descriptions[ metric ] = description;
+					}
+				}
+			);
+			runParams.add(
+				JSON.stringify( {
+					command: record.command,
+					...record.params,
+				} )
+			);
+		} else if ( record.type === RECORD_TYPE_SAMPLE ) {
+			metricNames.add( record.metric );
+			addSample( row.result, record );
+			if ( opt.splitCacheStatus && record.cacheStatus ) {
+				addSample(
+					getCacheStatusResult( row, record.cacheStatus ),
+					record
+				);
+			}
+		}
+	} );
+
+	const results = [ ...rowResults.values() ].flatMap(
+		( { result, cacheStatusResults } ) => [
+			result,
+			...Object.values( cacheStatusResults ),
+		]
+	);
+
+	if ( results.length === 0 ) {
+		log( formats.error( 'No results found.' ) );
+		return;
+	}
+
+	if ( runParams.size > 1 ) {
+		log(
+			formats.warning(
+				'Warning: The samples were collected with different commands or run parameters, so they may not be comparable.'
+			)
+		);
+	}
+
+	outputResults( opt, results, [ ...metricNames ], descriptions );
+}
+
+/**
+ * @param {Object}                 opt
+ * @param {URLResult[]}            results
+ * @param {string[]}               metricNames
+ * @param {Object<string, string>} descriptions Metric descriptions, e.g. of Server-Timing metrics, keyed by metric name.
+ */
+function outputResults( opt, results, metricNames, descriptions ) {
+	const percentiles = opt.showPercentiles
+		? KEY_PERCENTILES
+		: MEDIAN_PERCENTILES;
+
+	const headings = [ 'URL', 'Success Rate' ];
+
+	// In case of only the median, use the easier-to-understand "(median)" label.
+	metricNames.forEach( ( metricName ) => {
+		// Like in the benchmark commands, include the description of the metric if the server provided one.
+		const metricLabel = descriptions[ metricName ]
+			? `${ metricName }: ${ descriptions[ metricName ] }`
+			: metricName;
+		if ( opt.showPercentiles ) {
+			percentiles.forEach( ( percentile ) => {
+				headings.push( `${ metricLabel } (p${ percentile })` );
+			} );
+		} else {
+			headings.push( `${ metricLabel } (median)` );
+		}
+		if ( opt.showVariance ) {
+			headings.push( `${ metricLabel } (SD)` );
+			headings.push( `${ metricLabel } (MAD)` );
+			headings.push( `${ metricLabel } (IQR)` );
+		}
+	} );
+
+	const tableData = results.map(
+		( { url, requests, completeRequests, metrics } ) => {
+			const completionRate = requests
+				? round( ( 100 * completeRequests ) / requests, 1 )
+				: 0;
+
+			const tableRow = [ url, `${ completionRate }%` ];
+			metricNames.forEach( ( metricName ) => {
+				const values = metrics[ metricName ];
+
+				percentiles.forEach( ( percentile ) => {
+					tableRow.push(
+						values
+							? round( calcPercentile( percentile, values ), 2 )
+							: ''
+					);
+				} );
+
+				if ( opt.showVariance ) {
+					tableRow.push(
+						values
+							? round( calcStandardDeviation( values, true ), 2 )
+							: ''
+					);
+					tableRow.push(
+						values
+							? round( calcMedianAbsoluteDeviation( values ), 2 )
+							: ''
+					);
+					tableRow.push(
+						values
+							? round(
+									calcPercentile( 75, values ) -
+										calcPercentile( 25, values ),
+									2
+							  )
+							: ''
+					);
+				}
+			} );
+
+			return tableRow;
+		}
+	);
+
+	output( table( headings, tableData, opt.output, true ) );
+}
@@ -0,0 +1,168 @@
+/**
+ * CLI command to run a WebPageTest test and get performance metrics from its result.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import fs from 'fs';
+
+/**
+ * Internal dependencies
+ */
+import { log, formats } from '../lib/cli/logger.mjs';
+import { getWptConfigFromOptions } from '../lib/cli/args.mjs';
+import { submitTest, waitForTest } from '../lib/wpt/test.mjs';
+import {
+	handler as wptMetricsHandler,
+	options as wptMetricsOptions,
+} from './wpt-metrics.mjs';
+
+export const options = [
+	{
+		argname: '-u, --url <url>',
+		description: 'URL to test',
+	},
+	{
+		argname: '-l, --location <location>',
+		description:
+			'WebPageTest location to test from, e.g. "Dulles:Chrome"; defaults to the default location of the WebPageTest host',
+	},
+	{
+		argname: '-c, --connectivity <connectivity>',
+		description:
+			'Connectivity profile to test with, e.g. "Cable" or "4G"; defaults to the default profile of the WebPageTest host',
+	},
+	{
+		argname: '-n, --runs <runs>',
+		description: 'Number of test runs',
+		defaults: 3,
+	},
+	{
+		argname: '--repeat-view',
+		description: 'Whether to also test the repeat view',
+	},
+	{
+		argname: '--script <file>',
+		description:
+			'File with a WebPageTest script to run, e.g. for a test with multiple steps',
+	},
+	{
+		argname: '--poll-interval <seconds>',
+		description:
+			'Number of seconds to wait between requests for the test status',
+		defaults: 10,
+	},
+	{
+		argname: '--timeout <seconds>',
+		description:
+			'Number of seconds to wait for the test to complete at most',
+		defaults: 1800,
+	},
+	{
+		argname: '--wpt-host <host>',
+		description:
+			'WebPageTest host to run the test on, e.g. for a private instance; defaults to the WPT_HOST environment variable or "https://www.webpagetest.org"',
+	},
+	{
+		argname: '--wpt-api-key <key>',
+		description:
+			'WebPageTest API key to submit the test with; defaults to the WPT_API_KEY environment variable',
+	},
+	// Once the test is completed, its metrics are output like with the wpt-metrics command.
+	...wptMetricsOptions.filter(
+		( { argname } ) =>
+			! argname.startsWith( '-t,' ) && ! argname.startsWith( '--wpt-' )
+	),
+];
+
+export async function handler( opt ) {
+	let wptConfig;
+	try {
+		wptConfig = getWptConfigFromOptions( opt );
+	} catch ( error ) {
+		log( formats.error( error ) );
+		return;
+	}
+
+	if ( ! opt.url && ! opt.script ) {
+		log(
+			formats.error(
+				'You need to provide a URL to test via the --url (-u) argument, or a script via the --script argument.'
+			)
+		);
+		return;
+	}
+
+	const runs = Number( opt.runs );
+	if ( ! Number.isInteger( runs ) || runs < 1 ) {
+		log(
+			formats.error(
+				`Invalid runs ${ opt.runs }. The number of test runs provided via the --runs (-n) argument must be a positive integer.`
+			)
+		);
+		return;
+	}
+
+	const pollInterval = Number( opt.pollInterval );
+	const timeout = Number( opt.timeout );
+	if ( ! ( pollInterval > 0 ) || ! ( timeout > 0 ) ) {
+		log(
+			formats.error(
+				'The --poll-interval and --timeout arguments must be positive numbers of seconds.'
+			)
+		);
+		return;
+	}
+
+	let testId;
+	try {
+		const submission = await submitTest(
+			{
+				url: opt.url || null,
+				location: opt.location || null,
+				connectivity: opt.connectivity || null,
+				runs,
+				repeatView: Boolean( opt.repeatView ),
+				script: opt.script
+					? fs.readFileSync( opt.script, 'utf8' )
+					: null,
+			},
+			wptConfig
+		);
+		testId = submission.testId;
+		log( `Submitted test ${ testId }: ${ submission.userUrl }` );
+
+		await waitForTest( testId, wptConfig, {
+			pollInterval,
+			timeout,
+			onStatusChange: ( { statusText } ) => {
+				log( statusText );
+			},
+		} );
+	} catch ( error ) {
+		log( formats.error( `Error: ${ error.message }.` ) );
+		return;
+	}
+
+	await wptMetricsHandler( {
+		...opt,
+		test: [ testId ],
+		wptHost: wptConfig.host,
+		wptApiKey: wptConfig.apiKey,
+	} );
+}
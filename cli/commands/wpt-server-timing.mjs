@@ -32,12 +32,19 @@ import {
 	isValidTableFormat,
 	OUTPUT_FORMAT_TABLE,
 } from '../lib/cli/logger.mjs';
-import { parseWptTestId } from '../lib/cli/args.mjs';
 import {
-	getResultJson,
+	parseWptTestId,
+	getWptConfigFromOptions,
+	getWptResultViewsFromOptions,
+} from '../lib/cli/args.mjs';
+import {
 	getResultServerTiming,
 	mergeResultMetrics,
+	getResultViewLabel,
+	VIEW_FIRST,
 } from '../lib/wpt/result.mjs';
+import { getCachedResultJson } from '../lib/wpt/result-cache.mjs';
+import { readResultFile } from '../lib/wpt/result-file.mjs';
 import {
 	KEY_PERCENTILES,
 	MEDIAN_PERCENTILES,
@@ -47,9 +54,34 @@ export const options = [
 	{
 		argname: '-t, --test <test...>',
 		description:
-			'WebPageTest test result ID or URL; optionally supports passing multiple test result IDs to merge their metrics',
+			'WebPageTest test result ID or URL, or a local JSON result or HAR file; optionally supports passing multiple test results to merge their metrics',
 		required: true,
 	},
+	{
+		argname: '--wpt-host <host>',
+		description:
+			'WebPageTest host to get test results by ID from, e.g. for a private instance; defaults to the WPT_HOST environment variable or "https://www.webpagetest.org"',
+	},
+	{
+		argname: '--wpt-api-key <key>',
+		description:
+			'WebPageTest API key to send with requests for test results; defaults to the WPT_API_KEY environment variable',
+	},
+	{
+		argname: '--no-cache',
+		description:
+			'Whether to always fetch the test results, instead of using and updating the local cache of completed results',
+	},
+	{
+		argname: '--view <view...>',
+		description:
+			'View to get the metrics for: "first" (default) or "repeat"; optionally supports passing both to show them side by side',
+	},
+	{
+		argname: '--step <step...>',
+		description:
+			'Step of a scripted test to get the metrics for, starting at 1; optionally supports passing multiple steps to show them side by side',
+	},
 	{
 		argname: '-f, --format <format>',
 		description: 'Output format: "csv", "table", "md"',
@@ -73,9 +105,13 @@ export const options = [
 export async function handler( opt ) {
 	const { test, format, showPercentiles, includeRuns, rowsAsColumns } = opt;
 
-	let testIds;
+	let wptConfig, tests, resultViews;
 	try {
-		testIds = test.map( parseWptTestId );
+		wptConfig = getWptConfigFromOptions( opt );
+		tests = test.map( ( testIdOrUrl ) =>
+			parseWptTestId( testIdOrUrl, wptConfig.host )
+		);
+		resultViews = getWptResultViewsFromOptions( opt );
 	} catch ( error ) {
 		log( formats.error( error ) );
 		return;
@@ -92,21 +128,46 @@ export async function handler( opt ) {
 
 	const percentiles = showPercentiles ? KEY_PERCENTILES : MEDIAN_PERCENTILES;
 
+	// Label the metrics by view and step, unless only the first view is requested, which is the default.
+	const labelResultViews =
+		resultViews.length > 1 ||
+		resultViews[ 0 ].view !== VIEW_FIRST ||
+		resultViews[ 0 ].step !== null;
+
 	// Usually only one test ID is passed, but multiple are supported. This can be useful to merge results from
 	// multiple WebPageTest tests, typically with similar configuration, to get more than 9 test runs.
 	let accTestRuns = 0;
 	const accResultMetrics = {};
 	await Promise.all(
-		testIds.map( async ( testId ) => {
-			const result = await getResultJson( testId );
-			const resultMetrics = getResultServerTiming( percentiles, result );
+		tests.map( async ( { testId, host, file } ) => {
+			// The API key is only sent to the configured host, not to any host of a result URL.
+			const result = file
+				? readResultFile( file )
+				: await getCachedResultJson( testId, {
+						host,
+						apiKey:
+							host === wptConfig.host ? wptConfig.apiKey : null,
+						cache: opt.cache !== false,
+				  } );
 
 			accTestRuns += result.testRuns;
-			resultMetrics.forEach( ( metric ) => {
-				if ( ! accResultMetrics[ metric.name ] ) {
-					accResultMetrics[ metric.name ] = [];
-				}
-				accResultMetrics[ metric.name ].push( metric );
+			resultViews.forEach( ( resultView ) => {
+				const resultMetrics = getResultServerTiming(
+					percentiles,
+					result,
+					resultView
+				);
+				resultMetrics.forEach( ( metric ) => {
+					if ( labelResultViews ) {
+						metric.name = `${ metric.name } (${ getResultViewLabel(
+							resultView
+						) })`;
+					}
+					if ( ! accResultMetrics[ metric.name ] ) {
+						accResultMetrics[ metric.name ] = [];
+					}
+					accResultMetrics[ metric.name ].push( metric );
+				} );
 			} );
 		} )
 	);
@@ -164,6 +225,17 @@ export async function handler( opt ) {
 		};
 	}
 
+	// Only include a column for the metric descriptions if any of the metrics has one.
+	if ( mergedResultMetrics.some( ( metric ) => metric.description ) ) {
+		const parseTableDataWithoutDescription = parseTableData;
+		headings.splice( 1, 0, 'Description' );
+		parseTableData = ( metric ) => {
+			const tableRow = parseTableDataWithoutDescription( metric );
+			tableRow.splice( 1, 0, metric.description || '' );
+			return tableRow;
+		};
+	}
+
 	output(
 		table(
 			headings,
@@ -25,21 +25,128 @@ import readline from 'readline';
 /**
  * Internal dependencies
  */
-import { isTestId, getTestIdFromResultUrl } from '../wpt/result.mjs';
+import {
+	isTestId,
+	getTestIdFromResultUrl,
+	getHostFromResultUrl,
+	DEFAULT_WPT_HOST,
+	VIEW_FIRST,
+	VIEW_REPEAT,
+} from '../wpt/result.mjs';
+import {
+	getSitemapURLGroups,
+	sampleSitemapURLGroups,
+} from '../util/sitemap.mjs';
+import { crawlURLs } from '../util/crawl.mjs';
+import { isURLEntriesFile, readURLEntriesFile } from '../util/url-file.mjs';
 
-export function parseWptTestId( testIdOrUrl ) {
-	let testId;
+/* eslint-disable jsdoc/valid-types */
+/** @typedef {import("../util/url-file.mjs").URLEntry} URLEntry */
+/** @typedef {import("../wpt/result.mjs").ResultView} ResultView */
+/* eslint-enable jsdoc/valid-types */
+
+export const GROUP_BY_GROUP = 'group';
+
+/**
+ * @typedef {Object} WptTest
+ * @property {?string} testId WebPageTest test result ID, or null for a local file.
+ * @property {?string} host   WebPageTest host the result is on, or null for a local file.
+ * @property {?string} file   Local file with the result, or null.
+ */
+
+/**
+ * Parses a WebPageTest test result ID or URL, or the path to a local file with a result.
+ *
+ * A result URL is recognized from any host, in which case the result is on that host regardless of the given host.
+ *
+ * @param {string} testIdOrUrl WebPageTest test result ID or URL, or a local JSON result or HAR file.
+ * @param {string} host        Optional. WebPageTest host for a test result ID. Default is the public instance.
+ * @return {WptTest} Test result ID and host, or file.
+ */
+export function parseWptTestId( testIdOrUrl, host = DEFAULT_WPT_HOST ) {
 	try {
-		testId = getTestIdFromResultUrl( testIdOrUrl );
+		return {
+			testId: getTestIdFromResultUrl( testIdOrUrl ),
+			host: getHostFromResultUrl( testIdOrUrl ),
+			file: null,
+		};
 	} catch ( error ) {
-		testId = testIdOrUrl;
-		if ( ! isTestId( testId ) ) {
+		if ( fs.existsSync( testIdOrUrl ) ) {
+			return { testId: null, host: null, file: testIdOrUrl };
+		}
+		if ( ! isTestId( testIdOrUrl, host ) ) {
 			throw new Error(
-				`The value ${ testId } is not a valid WebPageTest test result ID or URL.`
+				`The value ${ testIdOrUrl } is not a valid WebPageTest test result ID or URL, nor an existing file.`
 			);
 		}
+		return { testId: testIdOrUrl, host, file: null };
 	}
-	return testId;
+}
+
+/**
+ * Gets the WebPageTest host and API key from the --wpt-host and --wpt-api-key args, or from the WPT_HOST and
+ * WPT_API_KEY environment variables.
+ *
+ * @param {Object}  opt
+ * @param {?string} opt.wptHost
+ * @param {?string} opt.wptApiKey
+ * @return {{host: string, apiKey: ?string}} WebPageTest host without trailing slash, and API key or null.
+ */
+export function getWptConfigFromOptions( opt ) {
+	const host = opt.wptHost || process.env.WPT_HOST || DEFAULT_WPT_HOST;
+
+	let url;
+	try {
+		// The protocol may be omitted, e.g. "wpt.example.com".
+		url = new URL(
+			/^https?:\/\//.test( host ) ? host : `https://${ host }`
+		);
+	} catch ( error ) {
+		throw new Error(
+			`Invalid WebPageTest host ${ host }. The host provided via the --wpt-host argument or the WPT_HOST environment variable must be a URL.`
+		);
+	}
+
+	return {
+		host: `${ url.origin }${ url.pathname.replace( /\/+$/, '' ) }`,
+		apiKey: opt.wptApiKey || process.env.WPT_API_KEY || null,
+	};
+}
+
+/**
+ * Gets the views and steps of a WebPageTest result to get metrics for from the --view and --step args.
+ *
+ * Every combination of the given views and steps is included, so that e.g. first view and repeat view metrics can be
+ * shown side by side.
+ *
+ * @param {Object}    opt
+ * @param {?string[]} opt.view
+ * @param {?string[]} opt.step
+ * @return {ResultView[]} Views and steps.
+ */
+export function getWptResultViewsFromOptions( opt ) {
+	const views = opt.view && opt.view.length ? opt.view : [ VIEW_FIRST ];
+	views.forEach( ( view ) => {
+		if ( ! [ VIEW_FIRST, VIEW_REPEAT ].includes( view ) ) {
+			throw new Error(
+				`Invalid view ${ view }. The view provided via the --view argument must be either "first" or "repeat".`
+			);
+		}
+	} );
+
+	const steps =
+		opt.step && opt.step.length ? opt.step.map( Number ) : [ null ];
+	steps.forEach( ( step, index ) => {
+		if ( step !== null && ( ! Number.isInteger( step ) || step < 1 ) ) {
+			throw new Error(
+				`Invalid step ${ opt.step[ index ] }. The step provided via the --step argument must be a positive integer.`
+			);
+		}
+	} );
+
+	return [ ...new Set( views ) ].flatMap( ( view ) =>
+		[ ...new Set( steps ) ].map( ( step ) => ( { view, step } ) )
+	);
 }
 
 /**
@@ -53,18 +160,104 @@ export function collectUrlArgs( url, urls ) {
 	return urls.concat( [ url ] );
 }
 
+/**
+ * Collects --header args.
+ *
+ * @param {string}   header
+ * @param {string[]} headers
+ * @return {string[]} Headers.
+ */
+export function collectHeaderArgs( header, headers ) {
+	return headers.concat( [ header ] );
+}
+
+/**
+ * Gets the URLs to run a command for.
+ *
+ * See `getURLEntries()` for where the URLs come from.
+ *
+ * @param {Object} opt Command options.
+ * @yield {string} URL.
+ */
 export async function* getURLs( opt ) {
+	for await ( const entry of getURLEntries( opt ) ) {
+		yield entry.url;
+	}
+}
+
+/**
+ * Gets the URLs to run a command for, including their labels and groups.
+ *
+ * The URLs come from the --url and --file args, as well as from a --sitemap, optionally reduced to a --sample. With
+ * the --crawl arg, same-origin links are followed from those URLs up to the given depth, where --sample limits the
+ * total number of URLs. Labels and groups are only available from a CSV or JSON --file, see `readURLEntriesFile()`.
+ *
+ * @param {Object}           opt
+ * @param {?string|string[]} opt.url
+ * @param {?string}          opt.file
+ * @param {?string}          opt.sitemap
+ * @param {?string|number}   opt.sample
+ * @param {?string|number}   opt.crawl
+ * @yield {URLEntry} URL entry.
+ */
+export async function* getURLEntries( opt ) {
+	const sample = opt.sample !== undefined ? Number( opt.sample ) : null;
+	if ( sample !== null && ( ! Number.isInteger( sample ) || sample < 1 ) ) {
+		throw new Error(
+			`The --sample argument must be provided a positive integer. Provided: ${ opt.sample }.`
+		);
+	}
+	if ( sample !== null && ! opt.sitemap && opt.crawl === undefined ) {
+		throw new Error(
+			'The --sample argument can only be used with the --sitemap or --crawl arguments.'
+		);
+	}
+
+	if ( opt.crawl !== undefined ) {
+		const depth = Number( opt.crawl );
+		if ( ! Number.isInteger( depth ) || depth < 0 ) {
+			throw new Error(
+				`The --crawl argument must be provided a non-negative integer. Provided: ${ opt.crawl }.`
+			);
+		}
+		if ( opt.sitemap ) {
+			throw new Error(
+				'The --crawl argument cannot be combined with the --sitemap argument, which already lists all URLs of a site.'
+			);
+		}
+
+		// Collect the start URLs first, since crawling needs all of them. Those keep their labels and groups.
+		const startEntries = new Map();
+		for await ( const entry of getURLEntries( {
+			url: opt.url,
+			file: opt.file,
+		} ) ) {
+			startEntries.set( entry.url, entry );
+		}
+		const urls = await crawlURLs(
+			[ ...startEntries.keys() ],
+			depth,
+			sample ?? Infinity
+		);
+		yield* urls.map(
+			( url ) => startEntries.get( url ) || createURLEntry( url )
+		);
+		return;
+	}
+
 	if ( typeof opt.url === 'string' ) {
-		yield opt.url;
+		yield createURLEntry( opt.url );
 	}
 
 	if ( Array.isArray( opt.url ) ) {
 		for ( const url of opt.url ) {
-			yield url;
+			yield createURLEntry( url );
 		}
 	}
 
-	if ( !! opt.file ) {
+	if ( !! opt.file && isURLEntriesFile( opt.file ) ) {
+		yield* readURLEntriesFile( opt.file );
+	} else if ( !! opt.file ) {
 		const rl = readline.createInterface( {
 			input: fs.createReadStream( opt.file ),
 			crlfDelay: Infinity,
@@ -72,10 +265,64 @@ export async function* getURLs( opt ) {
 
 		for await ( const url of rl ) {
 			if ( url.length > 0 ) {
-				yield url;
+				yield createURLEntry( url );
 			}
 		}
 	}
+
+	if ( !! opt.sitemap ) {
+		const groups = await getSitemapURLGroups( opt.sitemap );
+		const urls =
+			sample !== null
+				? sampleSitemapURLGroups( groups, sample )
+				: groups.flatMap( ( group ) => group.urls );
+		yield* urls.map( createURLEntry );
+	}
+}
+
+/**
+ * Creates a URL entry without label and group.
+ *
+ * @param {string} url URL.
+ * @return {URLEntry} URL entry.
+ */
+function createURLEntry( url ) {
+	return { url, label: null, group: null };
+}
+
+/**
+ * Gets the --group-by arg, validating it.
+ *
+ * @param {Object}  opt
+ * @param {?string} opt.groupBy
+ * @return {?string} Field to group URLs by, or null to not group them.
+ */
+export function getGroupByFromOptions( opt ) {
+	if ( ! opt.groupBy ) {
+		return null;
+	}
+	if ( opt.groupBy !== GROUP_BY_GROUP ) {
+		throw new Error(
+			`Invalid value ${ opt.groupBy } for the --group-by argument. The only supported value is "group".`
+		);
+	}
+	return opt.groupBy;
+}
+
+/**
+ * Gets the name to show the results for a URL entry under.
+ *
+ * When grouping URLs by group, the results for all URLs in a group share the same name, so that they can be pooled.
+ *
+ * @param {URLEntry} entry   URL entry.
+ * @param {?string}  groupBy Field to group URLs by, or null.
+ * @return {string} Group, label, or URL.
+ */
+export function getURLEntryName( entry, groupBy ) {
+	if ( groupBy === GROUP_BY_GROUP && entry.group ) {
+		return entry.group;
+	}
+	return entry.label || entry.url;
 }
 
 export function shouldLogURLProgress( opt ) {
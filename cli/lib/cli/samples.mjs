@@ -0,0 +1,192 @@
+/**
+ * CLI functions to save and read raw benchmark samples.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import fs from 'fs';
+import readline from 'readline';
+
+/*
+ * Samples are stored as NDJSON, i.e. one JSON object per line. There are two types of records:
+ * - 'run' records hold the number of requests and successful requests for a URL, plus the run parameters.
+ * - 'sample' records hold a single metric value for a URL.
+ * Both are stored per URL, including its group and the cache status of every sample, so that the results can be
+ * pooled by group or split by cache status when aggregating them again.
+ */
+export const RECORD_TYPE_RUN = 'run';
+export const RECORD_TYPE_SAMPLE = 'sample';
+
+/**
+ * @typedef {Object} CacheStatusCounts
+ * @property {number} requests         Number of requests with the cache status.
+ * @property {number} completeRequests Number of successful requests with the cache status.
+ */
+
+/**
+ * @typedef {Object} RunRecord
+ * @property {string}                            type             Always 'run'.
+ * @property {string}                            command          Command that the samples were collected with.
+ * @property {string}                            url              URL, or its label.
+ * @property {?string}                           group            Group that the URL belongs to, or null.
+ * @property {number}                            requests         Number of requests made.
+ * @property {number}                            completeRequests Number of successful requests.
+ * @property {Object<string, CacheStatusCounts>} cacheStatuses    Number of requests, keyed by cache status.
+ * @property {Object<string, string>}            descriptions     Metric descriptions, e.g. of Server-Timing metrics,
+ *                                                                keyed by metric name.
+ * @property {Object}                            params           Run parameters, e.g. device, network conditions, or
+ *                                                                CPU throttling.
+ */
+
+/**
+ * @typedef {Object} SampleRecord
+ * @property {string}  type        Always 'sample'.
+ * @property {string}  url         URL, or its label.
+ * @property {?string} group       Group that the URL belongs to, or null.
+ * @property {number}  iteration   1-based index of the request that the sample was collected in.
+ * @property {?string} cacheStatus Cache status of the request, i.e. 'hit', 'miss', or 'unknown', or null if not known.
+ * @property {string}  metric      Metric name.
+ * @property {number}  value       Metric value.
+ */
+
+/**
+ * Creates the records for the results of benchmarking a single URL.
+ *
+ * The values of every metric line up with the iterations, i.e. the value at a given index was collected in the
+ * iteration at the same index. Missing values (`null`), e.g. for a metric that a request did not record, are skipped.
+ *
+ * @param {Object}                            args
+ * @param {string}                            args.command           Command that the samples were collected with.
+ * @param {string}                            args.url               URL, or its label.
+ * @param {?string}                           args.group             Group that the URL belongs to, or null.
+ * @param {number}                            args.requests          Number of requests made.
+ * @param {number}                            args.completeRequests  Number of successful requests.
+ * @param {Object<string, Array<?number>>}    args.metrics           Metric values, keyed by metric name.
+ * @param {number[]}                          args.iterations        1-based index of the request for every value.
+ * @param {Array<?string>}                    args.cacheStatuses     Cache status of the request for every value.
+ * @param {Object<string, CacheStatusCounts>} args.cacheStatusCounts Number of requests, keyed by cache status.
+ * @param {Object<string, string>}            args.descriptions      Optional. Metric descriptions, keyed by metric name.
+ * @param {Object}                            args.params            Run parameters.
+ * @return {Array<RunRecord|SampleRecord>} Records.
+ */
+export function createRecords( {
+	command,
+	url,
+	group,
+	requests,
+	completeRequests,
+	metrics,
+	iterations,
+	cacheStatuses,
+	cacheStatusCounts,
+	descriptions = {},
+	params,
+} ) {
+	const records = [
+		{
+			type: RECORD_TYPE_RUN,
+			command,
+			url,
+			group,
+			requests,
+			completeRequests,
+			cacheStatuses: cacheStatusCounts,
+			descriptions,
+			params,
+		},
+	];
+
+	Object.entries( metrics ).forEach( ( [ metric, values ] ) => {
+		( values || [] ).forEach( ( value, index ) => {
+			if ( value === null ) {
+				return;
+			}
+			records.push( {
+				type: RECORD_TYPE_SAMPLE,
+				url,
+				group,
+				iteration: iterations[ index ],
+				cacheStatus: cacheStatuses[ index ],
+				metric,
+				value,
+			} );
+		} );
+	} );
+
+	return records;
+}
+
+/**
+ * Writes records to an NDJSON file, replacing any existing file.
+ *
+ * @param {string}                        file    File path.
+ * @param {Array<RunRecord|SampleRecord>} records Records.
+ */
+export function saveRecords( file, records ) {
+	fs.writeFileSync(
+		file,
+		records
+			.map( ( record ) => `${ JSON.stringify( record ) }\n` )
+			.join( '' )
+	);
+}
+
+/**
+ * Reads records from one or more NDJSON files.
+ *
+ * @param {string[]} files File paths.
+ * @return {Promise<Array<RunRecord|SampleRecord>>} Records.
+ */
+export async function readRecords( files ) {
+	const records = [];
+
+	for ( const file of files ) {
+		const rl = readline.createInterface( {
+			input: fs.createReadStream( file ),
+			crlfDelay: Infinity,
+		} );
+
+		let lineNumber = 0;
+		for await ( const line of rl ) {
+			lineNumber++;
+			if ( line.trim().length === 0 ) {
+				continue;
+			}
+
+			let record;
+			try {
+				record = JSON.parse( line );
+			} catch ( error ) {
+				throw new Error(
+					`Invalid JSON in line ${ lineNumber } of file ${ file }.`
+				);
+			}
+			if (
+				record.type !== RECORD_TYPE_RUN &&
+				record.type !== RECORD_TYPE_SAMPLE
+			) {
+				throw new Error(
+					`Invalid record in line ${ lineNumber } of file ${ file }.`
+				);
+			}
+			records.push( record );
+		}
+	}
+
+	return records;
+}
@@ -0,0 +1,155 @@
+/**
+ * Utility functions to bust caches when benchmarking, and to determine whether a response was served from a cache.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export const CACHE_BUST_NONE = 'none';
+export const CACHE_BUST_QUERY = 'query';
+export const CACHE_BUST_HEADER = 'header';
+export const CACHE_BUST_COOKIE = 'cookie';
+
+export const CACHE_STATUS_HIT = 'hit';
+export const CACHE_STATUS_MISS = 'miss';
+export const CACHE_STATUS_UNKNOWN = 'unknown';
+
+/**
+ * @typedef {Object} CacheBust
+ * @property {string}  strategy Either 'none', 'query', 'header', or 'cookie'.
+ * @property {string}  name     Name of the query parameter, header, or cookie with the random value.
+ * @property {?string} value    Optional. Value to use instead of a new random value for every request, e.g. to load
+ *                              the same URL multiple times.
+ */
+
+/**
+ * Gets the cache busting strategy from the command options.
+ *
+ * @param {Object}  opt
+ * @param {?string} opt.cacheBust
+ * @param {?string} opt.cacheBustParam
+ * @return {CacheBust} Cache busting strategy.
+ */
+export function getCacheBustFromOptions( opt ) {
+	const strategy = opt.cacheBust || CACHE_BUST_QUERY;
+	if (
+		! [
+			CACHE_BUST_NONE,
+			CACHE_BUST_QUERY,
+			CACHE_BUST_HEADER,
+			CACHE_BUST_COOKIE,
+		].includes( strategy )
+	) {
+		throw new Error(
+			`Invalid cache busting strategy ${ opt.cacheBust }. The strategy provided via the --cache-bust argument must be either "none", "query", "header", or "cookie".`
+		);
+	}
+
+	return {
+		strategy,
+		name: opt.cacheBustParam || 'rnd',
+	};
+}
+
+/**
+ * Gets the cache busting value for a request, i.e. the fixed value of the strategy if set, or a new random value.
+ *
+ * @param {CacheBust} cacheBust Cache busting strategy.
+ * @return {string} Cache busting value.
+ */
+export function getCacheBustValue( cacheBust ) {
+	return cacheBust.value || String( Math.random() );
+}
+
+/**
+ * Adds a random cache busting value to a request.
+ *
+ * @param {CacheBust}              cacheBust Cache busting strategy.
+ * @param {string}                 url       Request URL, or only its path and query.
+ * @param {Object<string, string>} headers   Request headers.
+ * @return {{url: string, headers: Object<string, string>}} Request URL and headers, including the cache busting value.
+ */
+export function addCacheBust( cacheBust, url, headers ) {
+	const value = getCacheBustValue( cacheBust );
+
+	switch ( cacheBust.strategy ) {
+		case CACHE_BUST_QUERY: {
+			// The base doesn't matter if only a path is given, since only the query is manipulated.
+			const urlObj = new URL( url, 'http://localhost' );
+			urlObj.searchParams.set( cacheBust.name, value );
+			return {
+				url: /^https?:\/\//.test( url )
+					? urlObj.toString()
+					: urlObj.pathname + urlObj.search,
+				headers,
+			};
+		}
+		case CACHE_BUST_HEADER:
+			return {
+				url,
+				headers: { ...headers, [ cacheBust.name ]: value },
+			};
+		case CACHE_BUST_COOKIE: {
+			const cookieHeaderName =
+				Object.keys( headers ).find(
+					( name ) => name.toLowerCase() === 'cookie'
+				) || 'Cookie';
+			const cookie = `${ cacheBust.name }=${ value }`;
+			return {
+				url,
+				headers: {
+					...headers,
+					[ cookieHeaderName ]: headers[ cookieHeaderName ]
+						? `${ headers[ cookieHeaderName ] }; ${ cookie }`
+						: cookie,
+				},
+			};
+		}
+	}
+
+	return { url, headers };
+}
+
+/**
+ * Determines whether a response was served from a cache, based on common cache status headers.
+ *
+ * The headers "CF-Cache-Status" (Cloudflare), "X-LiteSpeed-Cache" (LiteSpeed), "X-Cache" (e.g. Varnish, Fastly, or
+ * CloudFront), and "Age" are considered, in that order.
+ *
+ * @param {Object<string, string>} headers Response headers, keyed by lowercase name.
+ * @return {string} Either 'hit', 'miss', or 'unknown'.
+ */
+export function getCacheStatus( headers ) {
+	const statusHeader =
+		headers[ 'cf-cache-status' ] ||
+		headers[ 'x-litespeed-cache' ] ||
+		headers[ 'x-cache' ];
+	if ( statusHeader ) {
+		// Some caches list the status of multiple layers, e.g. "MISS, HIT" with Fastly shielding, where every layer
+		// appends its status, so the last one is from the layer closest to the client.
+		const statuses = statusHeader.split( ',' );
+		const status = statuses[ statuses.length - 1 ].trim().toLowerCase();
+		// Besides e.g. "HIT", "TCP_HIT", or "Hit from cloudfront", stale responses are served from the cache too.
+		return status.includes( 'hit' ) ||
+			[ 'stale', 'updating', 'revalidated' ].includes( status )
+			? CACHE_STATUS_HIT
+			: CACHE_STATUS_MISS;
+	}
+
+	if ( headers.age !== undefined ) {
+		return Number( headers.age ) > 0 ? CACHE_STATUS_HIT : CACHE_STATUS_MISS;
+	}
+
+	return CACHE_STATUS_UNKNOWN;
+}
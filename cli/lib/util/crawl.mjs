@@ -0,0 +1,167 @@
+/**
+ * Utility functions to discover the URLs of a site by crawling its links.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Links to files with these extensions are not pages, so they are not followed.
+const NON_PAGE_EXTENSION_REGEX =
+	/\.(jpe?g|png|gif|webp|avif|svg|ico|css|js|json|xml|txt|pdf|zip|gz|mp3|mp4|webm|woff2?|ttf)$/i;
+
+// WordPress URLs which are not pages to benchmark.
+const NON_PAGE_PATH_REGEX = /\/(wp-admin|wp-json|feed)(\/|$)|\/wp-login\.php$/;
+
+/**
+ * Crawls same-origin links starting from one or more URLs, breadth-first.
+ *
+ * Only links in `<a href>` elements of HTML responses are followed. Links to other origins than the one of the start URL
+ * they were reached from, to files which are not pages (e.g. images or PDFs), and to WordPress admin, REST API, login,
+ * and feed URLs are ignored, as is any fragment. Start URLs are normalized in the same way as links, so that e.g.
+ * "https://example.com" and a link to "https://example.com/" are only included once. If a start URL redirects to
+ * another origin, only its links to the origin of the start URL are followed.
+ *
+ * @param {string[]} startURLs Start URLs, which are part of the result.
+ * @param {number}   depth     Maximum number of links to follow from a start URL. 0 to not follow any links.
+ * @param {number}   limit     Optional. Maximum number of URLs to discover, including the start URLs. Default
+ *                             unlimited.
+ * @return {Promise<string[]>} Discovered URLs, ordered by their depth.
+ */
+export async function crawlURLs( startURLs, depth, limit = Infinity ) {
+	const discovered = new Set();
+	// Every URL to crawl next, with the origin of the start URL it was reached from.
+	let currentURLs = [];
+	for ( const startURL of startURLs ) {
+		if ( discovered.size >= limit ) {
+			break;
+		}
+		const url = normalizeURL( startURL );
+		if ( ! discovered.has( url ) ) {
+			discovered.add( url );
+			currentURLs.push( { url, origin: getOrigin( url ) } );
+		}
+	}
+
+	for (
+		let currentDepth = 0;
+		currentDepth < depth && discovered.size < limit;
+		currentDepth++
+	) {
+		const nextURLs = [];
+		for ( const { url, origin } of currentURLs ) {
+			// Stop fetching further pages once the limit is reached.
+			if ( discovered.size >= limit ) {
+				break;
+			}
+			for ( const link of await getPageLinks( url, origin ) ) {
+				if ( discovered.size >= limit ) {
+					break;
+				}
+				if ( ! discovered.has( link ) ) {
+					discovered.add( link );
+					nextURLs.push( { url: link, origin } );
+				}
+			}
+		}
+		currentURLs = nextURLs;
+	}
+
+	return [ ...discovered ];
+}
+
+/**
+ * Normalizes a URL like a link, i.e. as an absolute URL without fragment.
+ *
+ * @param {string} url URL.
+ * @return {string} Normalized URL, or the URL as is if it is invalid.
+ */
+function normalizeURL( url ) {
+	try {
+		const normalizedURL = new URL( url );
+		normalizedURL.hash = '';
+		return normalizedURL.toString();
+	} catch ( error ) {
+		return url;
+	}
+}
+
+/**
+ * Gets the origin of a URL.
+ *
+ * @param {string} url URL.
+ * @return {?string} Origin, or null if the URL is invalid.
+ */
+function getOrigin( url ) {
+	try {
+		return new URL( url ).origin;
+	} catch ( error ) {
+		return null;
+	}
+}
+
+/**
+ * Gets the links to pages with the given origin from a URL.
+ *
+ * @param {string} url    Page URL.
+ * @param {string} origin Origin to only include links for, which stays the same even if the URL redirects.
+ * @return {Promise<string[]>} Links, as absolute URLs without fragment. Empty if the URL could not be loaded or is
+ *                             not an HTML page.
+ */
+async function getPageLinks( url, origin ) {
+	let html;
+	try {
+		const response = await fetch( url );
+		if (
+			! response.ok ||
+			! ( response.headers.get( 'content-type' ) || '' ).includes(
+				'text/html'
+			)
+		) {
+			return [];
+		}
+		// Resolve relative links against the final URL, in case of a redirect.
+		url = response.url;
+		html = await response.text();
+	} catch ( error ) {
+		return [];
+	}
+
+	const links = new Set();
+	for ( const match of html.matchAll(
+		/<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi
+	) ) {
+		let link;
+		try {
+			link = new URL(
+				( match[ 1 ] ?? match[ 2 ] ?? match[ 3 ] ).replace(
+					/&amp;/g,
+					'&'
+				),
+				url
+			);
+		} catch ( error ) {
+			continue;
+		}
+		link.hash = '';
+		if (
+			link.origin === origin &&
+			! NON_PAGE_EXTENSION_REGEX.test( link.pathname ) &&
+			! NON_PAGE_PATH_REGEX.test( link.pathname )
+		) {
+			links.add( link.toString() );
+		}
+	}
+
+	return [ ...links ];
+}
@@ -21,13 +21,29 @@
  */
 import { UrlFetchApp } from './gas.mjs';
 
-export async function fetchJson( url ) {
+export async function fetchJson( url, headers = {} ) {
 	// This condition is for compatibility with using the code in Google Apps Script.
 	if ( UrlFetchApp ) {
-		const response = UrlFetchApp.fetch( url );
+		const response = UrlFetchApp.fetch( url, { headers } );
 		return JSON.parse( response.getContentText() );
 	}
 
-	const response = await fetch( url );
+	const response = await fetch( url, { headers } );
 	return response.json();
 }
+
+export async function fetchText( url ) {
+	// This condition is for compatibility with using the code in Google Apps Script.
+	if ( UrlFetchApp ) {
+		const response = UrlFetchApp.fetch( url );
+		return response.getContentText();
+	}
+
+	const response = await fetch( url );
+	if ( ! response.ok ) {
+		throw new Error(
+			`Request to ${ url } failed with status ${ response.status }.`
+		);
+	}
+	return response.text();
+}
@@ -0,0 +1,464 @@
+/**
+ * Utility functions to send HTTP requests over HTTP/2 or HTTP/1.1 while timing the connection phases.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import dns from 'dns';
+import http from 'http';
+import http2 from 'http2';
+import net from 'net';
+import tls from 'tls';
+import { performance } from 'perf_hooks';
+
+export const PROTOCOL_HTTP2 = 'h2';
+export const PROTOCOL_HTTP1 = 'http/1.1';
+
+/**
+ * @typedef {Object} HTTPRequest
+ * @property {string}                 url      URL to send the request to.
+ * @property {string}                 method   HTTP method, in uppercase.
+ * @property {Object<string, string>} headers  HTTP headers to send.
+ * @property {?string}                body     Request body, or null to send none.
+ * @property {?boolean}               trailers Whether to also read Server-Timing values from the response trailers.
+ */
+
+/**
+ * @typedef {Object} ConnectionTiming
+ * @property {number}  dns      Time of the DNS lookup, in milliseconds.
+ * @property {number}  tcp      Time to establish the TCP connection, in milliseconds.
+ * @property {?number} tls      Time of the TLS handshake in milliseconds, or null for an HTTP URL.
+ * @property {number}  ttfb     Time from sending the request until the response headers are received, in milliseconds.
+ * @property {number}  download Time from receiving the response headers until the response is complete, in
+ *                              milliseconds.
+ */
+
+/**
+ * @typedef {Object} HTTPResponse
+ * @property {string}                 protocol           Either 'h2' or 'http/1.1'.
+ * @property {number}                 statusCode         HTTP status code.
+ * @property {Object<string, string>} headers            Response headers, keyed by lowercase name.
+ * @property {string[]}               serverTimingValues Values of the Server-Timing headers, and of the trailers if
+ *                                                       requested.
+ * @property {number}                 size               Size of the response in bytes, including headers.
+ * @property {ConnectionTiming}       timing             Timing of the connection phases.
+ */
+
+/**
+ * Error for a request which did not complete within the timeout.
+ */
+export class RequestTimeoutError extends Error {}
+
+/**
+ * Sends a single request over a new connection, timing every phase of it.
+ *
+ * HTTPS URLs are requested over HTTP/2 if the server supports it (negotiated via ALPN, like browsers do), and over
+ * HTTP/1.1 otherwise. HTTP URLs are always requested over HTTP/1.1. Like autocannon, TLS certificates are not
+ * verified, so that servers with a self-signed certificate can be benchmarked too.
+ *
+ * @param {HTTPRequest} request Request to send.
+ * @param {number}      timeout Timeout in seconds.
+ * @return {Promise<HTTPResponse>} Response.
+ */
+export async function sendRequest( request, timeout ) {
+	const url = new URL( request.url );
+	const isHTTPS = url.protocol === 'https:';
+	// Brackets around IPv6 addresses are not part of the host name to connect to.
+	const hostname = url.hostname.replace( /^\[|\]$/g, '' );
+	const port = Number( url.port ) || ( isHTTPS ? 443 : 80 );
+
+	const sockets = [];
+	let timer;
+	const timeoutPromise = new Promise( ( resolve, reject ) => {
+		timer = setTimeout( () => {
+			sockets.forEach( ( socket ) => socket.destroy() );
+			reject(
+				new RequestTimeoutError(
+					`Request to ${ request.url } timed out.`
+				)
+			);
+		}, timeout * 1000 );
+	} );
+
+	const send = async () => {
+		const startTime = performance.now();
+		const { address } = await dns.promises.lookup( hostname );
+		const dnsEndTime = performance.now();
+
+		const socket = await connect(
+			net.connect( { host: address, port } ),
+			'connect',
+			sockets
+		);
+		const tcpEndTime = performance.now();
+
+		let connection = socket;
+		let protocol = PROTOCOL_HTTP1;
+		let tlsEndTime = null;
+		if ( isHTTPS ) {
+			connection = await connect(
+				tls.connect( {
+					socket,
+					servername: net.isIP( hostname ) ? undefined : hostname,
+					ALPNProtocols: [ PROTOCOL_HTTP2, PROTOCOL_HTTP1 ],
+					rejectUnauthorized: false,
+				} ),
+				'secureConnect',
+				sockets
+			);
+			tlsEndTime = performance.now();
+			if ( connection.alpnProtocol === PROTOCOL_HTTP2 ) {
+				protocol = PROTOCOL_HTTP2;
+			}
+		}
+
+		const response =
+			protocol === PROTOCOL_HTTP2
+				? await sendHTTP2Request( connection, url, request )
+				: await sendHTTP1Request( connection, url, request );
+		const requestStartTime = tlsEndTime ?? tcpEndTime;
+
+		return {
+			protocol,
+			statusCode: response.statusCode,
+			headers: response.headers,
+			serverTimingValues: response.serverTimingValues,
+			size: response.size,
+			timing: {
+				dns: dnsEndTime - startTime,
+				tcp: tcpEndTime - dnsEndTime,
+				tls: tlsEndTime !== null ? tlsEndTime - tcpEndTime : null,
+				ttfb: response.headersTime - requestStartTime,
+				download: response.endTime - response.headersTime,
+			},
+		};
+	};
+
+	try {
+		return await Promise.race( [ send(), timeoutPromise ] );
+	} finally {
+		clearTimeout( timer );
+		sockets.forEach( ( socket ) => socket.destroy() );
+	}
+}
+
+/**
+ * @typedef {Object} RunRequestsOptions
+ * @property {function(): HTTPRequest}      getRequest  Function to get the next request to send.
+ * @property {number}                       connections Number of requests to send at the same time.
+ * @property {?number}                      amount      Number of requests to send in total, unless a duration
+ *                                                      is given.
+ * @property {?number}                      duration    Number of seconds to send requests for.
+ * @property {?number}                      overallRate Number of requests per second to send across all
+ *                                                      connections, or unlimited if not given.
+ * @property {number}                       timeout     Timeout per request in seconds.
+ * @property {?AbortSignal}                 signal      Signal to stop sending further requests.
+ * @property {function(HTTPResponse): void} onResponse  Callback for every response.
+ * @property {function(Error): void}        onError     Callback for every failed request, except for timeouts.
+ * @property {function(): void}             onTimeout   Callback for every request which timed out.
+ */
+
+/**
+ * Sends requests with a fixed number of concurrent connections, each request over a new connection.
+ *
+ * @param {RunRequestsOptions} options Options.
+ * @return {Promise<{duration: number, sent: number}>} Duration in seconds and number of requests sent.
+ */
+export async function runRequests( {
+	getRequest,
+	connections,
+	amount = null,
+	duration = null,
+	overallRate = null,
+	timeout,
+	signal = null,
+	onResponse,
+	onError,
+	onTimeout,
+} ) {
+	const startTime = performance.now();
+	const endTime = duration !== null ? startTime + duration * 1000 : Infinity;
+	let sent = 0;
+
+	// Waits for the slot of the next request, or returns false if no more requests should be sent.
+	const acquireSlot = async () => {
+		if (
+			( signal && signal.aborted ) ||
+			( duration === null && sent >= amount )
+		) {
+			return false;
+		}
+		const slotTime = overallRate
+			? startTime + ( sent * 1000 ) / overallRate
+			: performance.now();
+		if ( slotTime >= endTime ) {
+			return false;
+		}
+		sent++;
+		if ( slotTime > performance.now() ) {
+			await new Promise( ( resolve ) => {
+				setTimeout( resolve, slotTime - performance.now() );
+			} );
+		}
+		return true;
+	};
+
+	const runConnection = async () => {
+		while ( await acquireSlot() ) {
+			try {
+				onResponse( await sendRequest( getRequest(), timeout ) );
+			} catch ( error ) {
+				if ( error instanceof RequestTimeoutError ) {
+					onTimeout();
+				} else {
+					onError( error );
+				}
+			}
+		}
+	};
+
+	await Promise.all( Array.from( { length: connections }, runConnection ) );
+
+	return {
+		duration: ( performance.now() - startTime ) / 1000,
+		sent,
+	};
+}
+
+/**
+ * Waits for a socket to connect.
+ *
+ * @param {net.Socket} socket     Socket.
+ * @param {string}     eventName  Event which signals the connection, e.g. 'connect' or 'secureConnect'.
+ * @param {Array}      allSockets List to add the socket to, so that it can be destroyed later.
+ * @return {Promise<net.Socket>} Connected socket.
+ */
+function connect( socket, eventName, allSockets ) {
+	allSockets.push( socket );
+	return new Promise( ( resolve, reject ) => {
+		socket.once( eventName, () => {
+			socket.off( 'error', reject );
+			resolve( socket );
+		} );
+		socket.once( 'error', reject );
+	} );
+}
+
+/**
+ * Sends a request over an HTTP/2 connection.
+ *
+ * @param {tls.TLSSocket} connection TLS socket.
+ * @param {URL}           url        Request URL.
+ * @param {HTTPRequest}   request    Request.
+ * @return {Promise<Object>} Response data, including when the headers were received and the response was complete.
+ */
+function sendHTTP2Request( connection, url, request ) {
+	return new Promise( ( resolve, reject ) => {
+		const session = http2.connect( url.origin, {
+			createConnection: () => connection,
+		} );
+		session.on( 'error', reject );
+
+		const headers = {
+			':method': request.method,
+			':path': url.pathname + url.search,
+		};
+		Object.entries( request.headers ).forEach( ( [ name, value ] ) => {
+			// Connection-specific headers are not allowed in HTTP/2, and the host is sent as the ":authority".
+			if (
+				! [ 'host', 'connection', 'keep-alive' ].includes(
+					name.toLowerCase()
+				)
+			) {
+				headers[ name.toLowerCase() ] = value;
+			}
+		} );
+
+		const stream = session.request( headers, {
+			endStream: request.body === null,
+		} );
+		if ( request.body !== null ) {
+			stream.end( request.body );
+		}
+
+		const response = { serverTimingValues: [], size: 0 };
+		stream.on( 'response', ( responseHeaders ) => {
+			response.headersTime = performance.now();
+			response.statusCode = responseHeaders[ ':status' ];
+			response.headers = normalizeHTTP2Headers( responseHeaders );
+			response.serverTimingValues.push(
+				...getHTTP2HeaderValues( responseHeaders, 'server-timing' )
+			);
+			response.size += getHeadersSize( response.headers );
+		} );
+		if ( request.trailers ) {
+			stream.on( 'trailers', ( trailers ) => {
+				response.serverTimingValues.push(
+					...getHTTP2HeaderValues( trailers, 'server-timing' )
+				);
+			} );
+		}
+		stream.on( 'data', ( chunk ) => {
+			response.size += chunk.length;
+		} );
+		stream.on( 'end', () => {
+			response.endTime = performance.now();
+			session.close();
+			resolve( response );
+		} );
+		stream.on( 'error', reject );
+	} );
+}
+
+/**
+ * Sends a request over an HTTP/1.1 connection.
+ *
+ * @param {net.Socket}  connection Socket, either plain or TLS.
+ * @param {URL}         url        Request URL.
+ * @param {HTTPRequest} request    Request.
+ * @return {Promise<Object>} Response data, including when the headers were received and the response was complete.
+ */
+function sendHTTP1Request( connection, url, request ) {
+	return new Promise( ( resolve, reject ) => {
+		const req = http.request( {
+			createConnection: () => connection,
+			method: request.method,
+			path: url.pathname + url.search,
+			headers: {
+				Host: url.host,
+				Connection: 'close',
+				...request.headers,
+			},
+		} );
+		req.on( 'error', reject );
+
+		req.on( 'response', ( res ) => {
+			const response = {
+				headersTime: performance.now(),
+				statusCode: res.statusCode,
+				headers: getRawHeadersObject( res.rawHeaders ),
+				serverTimingValues: getRawHeaderValues(
+					res.rawHeaders,
+					'server-timing'
+				),
+				size: 0,
+			};
+			response.size += getHeadersSize( response.headers );
+			res.on( 'data', ( chunk ) => {
+				response.size += chunk.length;
+			} );
+			res.on( 'end', () => {
+				response.endTime = performance.now();
+				if ( request.trailers ) {
+					response.serverTimingValues.push(
+						...getRawHeaderValues(
+							res.rawTrailers,
+							'server-timing'
+						)
+					);
+				}
+				resolve( response );
+			} );
+			res.on( 'error', reject );
+		} );
+
+		req.end( request.body !== null ? request.body : undefined );
+	} );
+}
+
+/**
+ * Converts HTTP/2 headers to an object keyed by lowercase header name, without pseudo-headers.
+ *
+ * @param {Object} headers HTTP/2 headers, where values of repeated headers may be lists.
+ * @return {Object<string, string>} Header values, keyed by lowercase header name.
+ */
+function normalizeHTTP2Headers( headers ) {
+	const normalizedHeaders = {};
+	Object.keys( headers ).forEach( ( name ) => {
+		if ( ! name.startsWith( ':' ) ) {
+			normalizedHeaders[ name ] = getHTTP2HeaderValues(
+				headers,
+				name
+			).join( ', ' );
+		}
+	} );
+	return normalizedHeaders;
+}
+
+/**
+ * Gets the values of an HTTP/2 header.
+ *
+ * @param {Object} headers HTTP/2 headers.
+ * @param {string} name    Lowercase header name.
+ * @return {string[]} Header values.
+ */
+function getHTTP2HeaderValues( headers, name ) {
+	if ( headers[ name ] === undefined ) {
+		return [];
+	}
+	return [].concat( headers[ name ] ).map( String );
+}
+
+/**
+ * Converts raw HTTP/1.1 headers to an object keyed by lowercase header name, combining repeated headers.
+ *
+ * @param {string[]} rawHeaders List of header names and values, alternating.
+ * @return {Object<string, string>} Header values, keyed by lowercase header name.
+ */
+export function getRawHeadersObject( rawHeaders ) {
+	const headers = {};
+	for ( let i = 0; i < rawHeaders.length; i += 2 ) {
+		const name = rawHeaders[ i ].toLowerCase();
+		headers[ name ] =
+			headers[ name ] !== undefined
+				? `${ headers[ name ] }, ${ rawHeaders[ i + 1 ] }`
+				: rawHeaders[ i + 1 ];
+	}
+	return headers;
+}
+
+/**
+ * Gets the values of a raw HTTP/1.1 header.
+ *
+ * @param {string[]} rawHeaders List of header names and values, alternating.
+ * @param {string}   name       Lowercase header name.
+ * @return {string[]} Header values.
+ */
+export function getRawHeaderValues( rawHeaders, name ) {
+	const values = [];
+	for ( let i = 0; i < rawHeaders.length; i += 2 ) {
+		if ( rawHeaders[ i ].toLowerCase() === name ) {
+			values.push( rawHeaders[ i + 1 ] );
+		}
+	}
+	return values;
+}
+
+/**
+ * Gets the approximate size of headers as they would be sent over HTTP/1.1, i.e. without HTTP/2 header compression.
+ *
+ * @param {Object<string, string>} headers Header values, keyed by name.
+ * @return {number} Size in bytes.
+ */
+function getHeadersSize( headers ) {
+	return Object.entries( headers ).reduce(
+		( size, [ name, value ] ) =>
+			size + Buffer.byteLength( `${ name }: ${ value }\r\n` ),
+		0
+	);
+}
@@ -54,7 +54,8 @@ export function calcMedian( values ) {
 	return calcPercentile( 50, values );
 }
 
-export function calcStandardDeviation( arr, usePopulation = false ) {
+export function calcStandardDeviation( values, usePopulation = false ) {
+	const arr = values.filter( ( value ) => value !== null );
 	const mean = arr.reduce( ( acc, val ) => acc + val, 0 ) / arr.length;
 	return Math.sqrt(
 		arr
@@ -65,7 +66,174 @@ export function calcStandardDeviation( arr, usePopulation = false ) {
 }
 
 export function calcMedianAbsoluteDeviation( values ) {
-	const median = calcMedian( values );
+	const notNullValues = values.filter( ( value ) => value !== null );
+	const median = calcMedian( notNullValues );
+
+	return calcMedian(
+		notNullValues.map( ( value ) => Math.abs( value - median ) )
+	);
+}
+
+/**
+ * Trims the given percentage of the lowest and highest values.
+ *
+ * For example, a percentage of 5 excludes the lowest 5% as well as the highest 5% of the values, rounded down.
+ *
+ * @param {number[]} values  Values.
+ * @param {number}   percent Percentage of values to trim from each end.
+ * @return {number[]} Remaining values, in their original order.
+ */
+export function trimValues( values, percent ) {
+	const trimCount = Math.floor( ( values.length * percent ) / 100 );
+	if ( trimCount === 0 ) {
+		return [ ...values ];
+	}
+
+	// Sort the indexes by value, so that the remaining values can be returned in their original order.
+	const sortedIndexes = values
+		.map( ( value, index ) => index )
+		.sort( ( a, b ) => values[ a ] - values[ b ] );
+	const excludedIndexes = new Set( [
+		...sortedIndexes.slice( 0, trimCount ),
+		...sortedIndexes.slice( sortedIndexes.length - trimCount ),
+	] );
+	return values.filter( ( value, index ) => ! excludedIndexes.has( index ) );
+}
 
-	return calcMedian( values.map( ( value ) => Math.abs( value - median ) ) );
+/**
+ * Excludes outliers based on the interquartile range (IQR).
+ *
+ * Values below the first quartile minus the IQR times the factor, or above the third quartile plus the IQR times the
+ * factor, are considered outliers (Tukey's fences).
+ *
+ * @param {number[]} values Values.
+ * @param {number}   factor Factor of the IQR. Default 1.5.
+ * @return {number[]} Remaining values, in their original order.
+ */
+export function excludeIQROutliers( values, factor = 1.5 ) {
+	const q1 = calcPercentile( 25, values );
+	const q3 = calcPercentile( 75, values );
+	const iqr = q3 - q1;
+	return values.filter(
+		( value ) => value >= q1 - factor * iqr && value <= q3 + factor * iqr
+	);
+}
+
+/**
+ * Calculates a bootstrap confidence interval for the difference in medians between two samples.
+ *
+ * Both samples are resampled with replacement, and for each resampling the median of the first sample is subtracted
+ * from the median of the second sample. The confidence interval is then given by the corresponding percentiles of
+ * these differences.
+ *
+ * @param {number[]} baselineValues  Values of the baseline sample.
+ * @param {number[]} candidateValues Values of the candidate sample.
+ * @param {number}   confidenceLevel Confidence level in percent. Default 95.
+ * @param {number}   iterations      Number of bootstrap resamplings. Default 10000.
+ * @return {number[]} Lower and upper bound of the confidence interval.
+ */
+export function calcBootstrapConfidenceInterval(
+	baselineValues,
+	candidateValues,
+	confidenceLevel = 95,
+	iterations = 10000
+) {
+	const baseline = baselineValues.filter( ( value ) => value !== null );
+	const candidate = candidateValues.filter( ( value ) => value !== null );
+
+	const resample = ( values ) =>
+		values.map(
+			() => values[ Math.floor( Math.random() * values.length ) ]
+		);
+
+	const differences = [];
+	for ( let i = 0; i < iterations; i++ ) {
+		differences.push(
+			calcMedian( resample( candidate ) ) -
+				calcMedian( resample( baseline ) )
+		);
+	}
+
+	const alpha = 100 - confidenceLevel;
+	return [
+		calcPercentile( alpha / 2, differences ),
+		calcPercentile( 100 - alpha / 2, differences ),
+	];
+}
+
+/**
+ * Performs a two-sided Mann-Whitney U test for whether two samples come from the same distribution.
+ *
+ * The p-value is calculated using the normal approximation with tie and continuity correction, which is reasonably
+ * accurate for sample sizes of about 8 or more each.
+ *
+ * @param {number[]} values1 Values of the first sample.
+ * @param {number[]} values2 Values of the second sample.
+ * @return {{u: number, p: number}} U statistic for the first sample and p-value.
+ */
+export function calcMannWhitneyU( values1, values2 ) {
+	const sample1 = values1.filter( ( value ) => value !== null );
+	const sample2 = values2.filter( ( value ) => value !== null );
+	const n1 = sample1.length;
+	const n2 = sample2.length;
+	const n = n1 + n2;
+
+	const combined = [
+		...sample1.map( ( value ) => ( { value, first: true } ) ),
+		...sample2.map( ( value ) => ( { value, first: false } ) ),
+	];
+	combined.sort( ( a, b ) => a.value - b.value );
+
+	// Assign ranks, using the average rank for tied values.
+	let rankSum1 = 0;
+	let tieCorrection = 0;
+	let i = 0;
+	while ( i < n ) {
+		let j = i;
+		while ( j + 1 < n && combined[ j + 1 ].value === combined[ i ].value ) {
+			j++;
+		}
+		const ties = j - i + 1;
+		const rank = ( i + j + 2 ) / 2;
+		for ( let k = i; k <= j; k++ ) {
+			if ( combined[ k ].first ) {
+				rankSum1 += rank;
+			}
+		}
+		tieCorrection += ties ** 3 - ties;
+		i = j + 1;
+	}
+
+	const u = rankSum1 - ( n1 * ( n1 + 1 ) ) / 2;
+	const mean = ( n1 * n2 ) / 2;
+	const variance =
+		( ( n1 * n2 ) / 12 ) * ( n + 1 - tieCorrection / ( n * ( n - 1 ) ) );
+	if ( ! ( variance > 0 ) ) {
+		return { u, p: 1 };
+	}
+
+	const z = Math.max( Math.abs( u - mean ) - 0.5, 0 ) / Math.sqrt( variance );
+	return { u, p: Math.min( 2 * ( 1 - calcStandardNormalCdf( z ) ), 1 ) };
+}
+
+/**
+ * Calculates the cumulative distribution function of the standard normal distribution.
+ *
+ * This uses the approximation of the error function from Abramowitz and Stegun (formula 7.1.26).
+ *
+ * @param {number} z Value.
+ * @return {number} Probability of a standard normal value being less than or equal to the value.
+ */
+function calcStandardNormalCdf( z ) {
+	const x = Math.abs( z ) / Math.SQRT2;
+	const t = 1 / ( 1 + 0.3275911 * x );
+	const erf =
+		1 -
+		( ( ( ( 1.061405429 * t - 1.453152027 ) * t + 1.421413741 ) * t -
+			0.284496736 ) *
+			t +
+			0.254829592 ) *
+			t *
+			Math.exp( -x * x );
+	return z >= 0 ? ( 1 + erf ) / 2 : ( 1 - erf ) / 2;
 }
@@ -0,0 +1,160 @@
+/**
+ * Utility functions to compute request and byte metrics from the network activity of a page.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable jsdoc/valid-types */
+/** @typedef {import("puppeteer").Page} Page */
+/* eslint-enable jsdoc/valid-types */
+
+const PARTY_FIRST = 'first-party';
+const PARTY_THIRD = 'third-party';
+
+/**
+ * Groups that request and byte metrics are available for, i.e. the resource types as reported by CDP (in lowercase)
+ * and whether requests are first-party or third-party.
+ *
+ * @type {string[]}
+ */
+export const NETWORK_METRIC_GROUPS = [
+	'document',
+	'stylesheet',
+	'image',
+	'media',
+	'font',
+	'script',
+	'texttrack',
+	'xhr',
+	'fetch',
+	'prefetch',
+	'eventsource',
+	'websocket',
+	'manifest',
+	'signedexchange',
+	'ping',
+	'cspviolationreport',
+	'preflight',
+	'other',
+	PARTY_FIRST,
+	PARTY_THIRD,
+];
+
+/**
+ * @typedef {Object} NetworkRequest
+ * @property {string} url           Request URL.
+ * @property {string} type          Resource type in lowercase, e.g. "document", "script", "image", or "font".
+ * @property {number} transferBytes Bytes transferred over the network, including headers. 0 if the response was served
+ *                                  from the cache or the request failed.
+ */
+
+/**
+ * Starts recording the network requests of a page via CDP `Network` events.
+ *
+ * Requests that don't go over the network, i.e. to "data:" and "blob:" URLs, are ignored.
+ *
+ * @param {Page} page Page, before it is navigated.
+ * @return {Promise<function(): Promise<NetworkRequest[]>>} Function to stop recording, returning the recorded requests.
+ */
+export async function startNetworkRecording( page ) {
+	const client = await page.createCDPSession();
+
+	/** @type {Map<string, NetworkRequest>} */
+	const requests = new Map();
+
+	client.on(
+		'Network.requestWillBeSent',
+		( { requestId, request, type } ) => {
+			if ( ! /^https?:/.test( request.url ) ) {
+				return;
+			}
+			requests.set( requestId, {
+				url: request.url,
+				type: ( type || 'Other' ).toLowerCase(),
+				transferBytes: 0,
+			} );
+		}
+	);
+	client.on(
+		'Network.loadingFinished',
+		( { requestId, encodedDataLength } ) => {
+			if ( requests.has( requestId ) ) {
+				requests.get( requestId ).transferBytes = encodedDataLength;
+			}
+		}
+	);
+
+	await client.send( 'Network.enable' );
+
+	return async () => {
+		await client.detach();
+		return [ ...requests.values() ];
+	};
+}
+
+/**
+ * Checks whether a URL is third-party relative to the page URL.
+ *
+ * A URL is considered first-party if its host is the same as the host of the page URL (ignoring a leading "www.") or
+ * a subdomain of it.
+ *
+ * @param {string} url     URL to check.
+ * @param {string} pageUrl URL of the page.
+ * @return {boolean} True if the URL is third-party, false otherwise.
+ */
+function isThirdPartyURL( url, pageUrl ) {
+	const hostname = new URL( url ).hostname;
+	const pageHostname = new URL( pageUrl ).hostname.replace( /^www\./, '' );
+	return (
+		hostname !== pageHostname && ! hostname.endsWith( `.${ pageHostname }` )
+	);
+}
+
+/**
+ * Computes request and byte metrics from network requests.
+ *
+ * Besides the totals "Requests" and "TransferBytes", the result includes "Requests:<group>" and "Bytes:<group>" for
+ * every resource type (e.g. "Bytes:image") as well as for first-party and third-party requests (e.g.
+ * "Requests:third-party") that occurred.
+ *
+ * @param {NetworkRequest[]} requests Network requests.
+ * @param {string}           pageUrl  URL of the page, to tell first-party and third-party requests apart.
+ * @return {Object<string, number>} Network metrics, keyed by metric name.
+ */
+export function getNetworkMetrics( requests, pageUrl ) {
+	const metrics = {
+		Requests: 0,
+		TransferBytes: 0,
+	};
+
+	const addToGroup = ( group, transferBytes ) => {
+		metrics[ `Requests:${ group }` ] =
+			( metrics[ `Requests:${ group }` ] || 0 ) + 1;
+		metrics[ `Bytes:${ group }` ] =
+			( metrics[ `Bytes:${ group }` ] || 0 ) + transferBytes;
+	};
+
+	requests.forEach( ( { url, type, transferBytes } ) => {
+		metrics.Requests++;
+		metrics.TransferBytes += transferBytes;
+		addToGroup( type, transferBytes );
+		addToGroup(
+			isThirdPartyURL( url, pageUrl ) ? PARTY_THIRD : PARTY_FIRST,
+			transferBytes
+		);
+	} );
+
+	return metrics;
+}
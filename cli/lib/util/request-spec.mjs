@@ -0,0 +1,187 @@
+/**
+ * Utility functions to specify the HTTP requests to benchmark, such as the method, headers, and body.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import fs from 'fs';
+
+/**
+ * Internal dependencies
+ */
+import { parseHeaderArgs } from './session.mjs';
+
+/**
+ * @typedef {Object} RequestSpec
+ * @property {string}                 url     URL to send the request to.
+ * @property {string}                 method  HTTP method, in uppercase.
+ * @property {Object<string, string>} headers HTTP headers to send.
+ * @property {?string}                body    Request body, or null to send none.
+ * @property {?string}                label   Label to show instead of the method and URL, or null.
+ * @property {?string}                group   Group that the request belongs to, or null.
+ */
+
+/**
+ * Gets the default request spec from the command options, which applies to every URL.
+ *
+ * @param {Object}    opt
+ * @param {?string}   opt.method
+ * @param {?string[]} opt.header
+ * @param {?string}   opt.body
+ * @param {?string}   opt.bodyFile
+ * @return {Omit<RequestSpec, 'url'|'label'|'group'>} Request spec without URL, label, and group.
+ */
+export function getDefaultRequestSpecFromOptions( opt ) {
+	if ( opt.body !== undefined && opt.bodyFile ) {
+		throw new Error(
+			'The --body argument cannot be combined with the --body-file argument.'
+		);
+	}
+
+	let body = null;
+	if ( opt.bodyFile ) {
+		body = fs.readFileSync( opt.bodyFile, 'utf8' );
+	} else if ( opt.body !== undefined ) {
+		body = opt.body;
+	}
+
+	return {
+		method: ( opt.method || 'GET' ).toUpperCase(),
+		headers: parseHeaderArgs( opt.header || [] ),
+		body,
+	};
+}
+
+/**
+ * Reads request specs from a JSON file.
+ *
+ * The file must contain a list of objects, each with either a `url` or a `path`, and optionally a `method`, `headers`
+ * (an object keyed by header name), `body`, `label`, and `group`. A request with a `path` is sent to every base URL,
+ * i.e. the path is appended to the path of each of them, and its label is suffixed with the base URL so that the
+ * requests can be told apart. A body which is not a string is encoded as JSON, in which case the "Content-Type" header
+ * defaults to "application/json". Any values not provided fall back to the given default request spec.
+ *
+ * @param {string}                                   file        File path.
+ * @param {Omit<RequestSpec, 'url'|'label'|'group'>} defaultSpec Default request spec.
+ * @param {string[]}                                 baseURLs    Optional. URLs to send the requests with a `path` to.
+ *                                                               Default none.
+ * @return {RequestSpec[]} Request specs.
+ */
+export function readRequestSpecFile( file, defaultSpec, baseURLs = [] ) {
+	let entries;
+	try {
+		entries = JSON.parse( fs.readFileSync( file, 'utf8' ) );
+	} catch ( error ) {
+		throw new Error( `Invalid JSON in request file ${ file }.` );
+	}
+	if ( ! Array.isArray( entries ) ) {
+		throw new Error(
+			`Invalid request file ${ file }. It must contain a list of requests.`
+		);
+	}
+
+	const hasPaths = entries.some(
+		( entry ) => entry && typeof entry.path === 'string'
+	);
+	if ( hasPaths && ! baseURLs.length ) {
+		throw new Error(
+			`Request file ${ file } contains requests with a "path", which require the URLs to send them to via the --url (-u), --file (-f), --sitemap, or --crawl arguments.`
+		);
+	}
+	if ( ! hasPaths && baseURLs.length ) {
+		throw new Error(
+			`Request file ${ file } does not contain any requests with a "path", so it cannot be combined with the --url (-u), --file (-f), --sitemap, or --crawl arguments.`
+		);
+	}
+
+	return entries.flatMap( ( entry, index ) => {
+		if (
+			! entry ||
+			( typeof entry.url === 'string' ) ===
+				( typeof entry.path === 'string' )
+		) {
+			throw new Error(
+				`Invalid request ${
+					index + 1
+				} in request file ${ file }. Every request must have either a "url" or a "path".`
+			);
+		}
+
+		const headers = { ...defaultSpec.headers, ...( entry.headers || {} ) };
+		let body = defaultSpec.body;
+		if ( typeof entry.body === 'string' ) {
+			body = entry.body;
+		} else if ( entry.body !== undefined && entry.body !== null ) {
+			body = JSON.stringify( entry.body );
+			const hasContentType = Object.keys( headers ).some(
+				( name ) => name.toLowerCase() === 'content-type'
+			);
+			if ( ! hasContentType ) {
+				headers[ 'Content-Type' ] = 'application/json';
+			}
+		}
+
+		const label = entry.label ? String( entry.label ) : null;
+		const targets =
+			typeof entry.path === 'string'
+				? baseURLs.map( ( baseURL ) => ( {
+						url: joinURLPath( baseURL, entry.path ),
+						label: label ? `${ label } (${ baseURL })` : null,
+				  } ) )
+				: [ { url: entry.url, label } ];
+		return targets.map( ( target ) => ( {
+			...target,
+			method: ( entry.method || defaultSpec.method ).toUpperCase(),
+			headers,
+			body,
+			group: entry.group ? String( entry.group ) : null,
+		} ) );
+	} );
+}
+
+/**
+ * Appends a path to the path of a base URL, e.g. "/wp-json/" to "https://example.com/wp/" results in
+ * "https://example.com/wp/wp-json/". Any query string and fragment of the base URL are dropped.
+ *
+ * @param {string} baseURL Base URL.
+ * @param {string} path    Path, optionally with a query string.
+ * @return {string} Joined URL.
+ */
+function joinURLPath( baseURL, path ) {
+	const url = new URL( baseURL );
+	url.search = '';
+	url.hash = '';
+	if ( ! url.pathname.endsWith( '/' ) ) {
+		url.pathname += '/';
+	}
+	return new URL( path.replace( /^\/+/, '' ), url ).toString();
+}
+
+/**
+ * Gets a label for a request spec, which is either its own label or the URL, including the method unless it is a GET
+ * request.
+ *
+ * @param {RequestSpec} spec Request spec.
+ * @return {string} Label.
+ */
+export function getRequestSpecLabel( spec ) {
+	if ( spec.label ) {
+		return spec.label;
+	}
+	return spec.method === 'GET' ? spec.url : `${ spec.method } ${ spec.url }`;
+}
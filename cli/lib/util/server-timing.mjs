@@ -0,0 +1,195 @@
+/**
+ * Utility functions to parse Server-Timing headers.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Characters allowed in a token, see https://httpwg.org/specs/rfc9110.html#tokens.
+const TOKEN_CHAR_REGEX = /[!#$%&'*+\-.^_`|~0-9A-Za-z]/;
+
+/**
+ * @typedef {Object} ServerTimingMetric
+ * @property {string}  name        Metric name.
+ * @property {?number} duration    Duration in milliseconds, or null if the metric has no "dur" parameter.
+ * @property {?string} description Description, or null if the metric has no "desc" parameter.
+ */
+
+/**
+ * Parses one or more Server-Timing header (or trailer) values.
+ *
+ * This implements the grammar from https://w3c.github.io/server-timing/#the-server-timing-header-field: Metrics are
+ * separated by commas, and each metric name may be followed by any number of parameters separated by semicolons, in
+ * any order. Parameter values may be tokens or quoted strings. If a parameter is present multiple times, only the
+ * first occurrence is used, and unknown parameters are ignored. Entries with an invalid syntax are skipped.
+ *
+ * @param {string|string[]} headerValues Header value, or multiple header values which are merged in order.
+ * @return {ServerTimingMetric[]} Parsed metrics, in the order they appear in.
+ */
+export function parseServerTiming( headerValues ) {
+	const values = Array.isArray( headerValues )
+		? headerValues
+		: [ headerValues ];
+
+	return values.flatMap( ( value ) => parseServerTimingValue( value ) );
+}
+
+/**
+ * Parses a single Server-Timing header value.
+ *
+ * @param {string} value Header value.
+ * @return {ServerTimingMetric[]} Parsed metrics.
+ */
+function parseServerTimingValue( value ) {
+	const metrics = [];
+	let pos = 0;
+
+	const skipWhitespace = () => {
+		while (
+			pos < value.length &&
+			( value[ pos ] === ' ' || value[ pos ] === '\t' )
+		) {
+			pos++;
+		}
+	};
+
+	const readToken = () => {
+		const start = pos;
+		while ( pos < value.length && TOKEN_CHAR_REGEX.test( value[ pos ] ) ) {
+			pos++;
+		}
+		return value.substring( start, pos );
+	};
+
+	const readQuotedString = () => {
+		let result = '';
+		pos++; // Skip opening quote.
+		while ( pos < value.length && value[ pos ] !== '"' ) {
+			if ( value[ pos ] === '\\' && pos + 1 < value.length ) {
+				pos++;
+			}
+			result += value[ pos ];
+			pos++;
+		}
+		pos++; // Skip closing quote.
+		return result;
+	};
+
+	// Skips the rest of an invalid entry, up to the next comma which is not within a quoted string.
+	const skipToNextEntry = () => {
+		while ( pos < value.length && value[ pos ] !== ',' ) {
+			if ( value[ pos ] === '"' ) {
+				readQuotedString();
+			} else {
+				pos++;
+			}
+		}
+	};
+
+	while ( pos < value.length ) {
+		skipWhitespace();
+		if ( value[ pos ] === ',' ) {
+			pos++;
+			continue;
+		}
+
+		const name = readToken();
+		if ( ! name ) {
+			skipToNextEntry();
+			continue;
+		}
+
+		const params = {};
+		let valid = true;
+		skipWhitespace();
+		while ( pos < value.length && value[ pos ] === ';' ) {
+			pos++;
+			skipWhitespace();
+			const paramName = readToken().toLowerCase();
+			skipWhitespace();
+			let paramValue = '';
+			if ( value[ pos ] === '=' ) {
+				pos++;
+				skipWhitespace();
+				paramValue =
+					value[ pos ] === '"' ? readQuotedString() : readToken();
+				skipWhitespace();
+			}
+			if ( ! paramName ) {
+				valid = false;
+				break;
+			}
+			if ( params[ paramName ] === undefined ) {
+				params[ paramName ] = paramValue;
+			}
+		}
+
+		if ( ! valid || ( pos < value.length && value[ pos ] !== ',' ) ) {
+			skipToNextEntry();
+			continue;
+		}
+
+		let duration = null;
+		if ( params.dur !== undefined ) {
+			// Per the specification, a duration which is not a valid number is 0.
+			duration = parseFloat( params.dur );
+			if ( isNaN( duration ) ) {
+				duration = 0;
+			}
+		}
+
+		metrics.push( {
+			name,
+			duration,
+			description: params.desc !== undefined ? params.desc : null,
+		} );
+	}
+
+	return metrics;
+}
+
+/**
+ * Gets the durations of Server-Timing metrics, keyed by metric name.
+ *
+ * Metrics without a duration are not included. If a metric is present multiple times, the first occurrence is used.
+ *
+ * @param {ServerTimingMetric[]} metrics Parsed metrics.
+ * @return {Object<string, number>} Durations, keyed by metric name.
+ */
+export function getServerTimingDurations( metrics ) {
+	return metrics.reduce( ( acc, { name, duration } ) => {
+		if ( duration !== null && acc[ name ] === undefined ) {
+			acc[ name ] = duration;
+		}
+		return acc;
+	}, {} );
+}
+
+/**
+ * Gets the descriptions of Server-Timing metrics, keyed by metric name.
+ *
+ * Metrics without a description are not included. If a metric is present multiple times, the first description is
+ * used.
+ *
+ * @param {ServerTimingMetric[]} metrics Parsed metrics.
+ * @return {Object<string, string>} Descriptions, keyed by metric name.
+ */
+export function getServerTimingDescriptions( metrics ) {
+	return metrics.reduce( ( acc, { name, description } ) => {
+		if ( description !== null && acc[ name ] === undefined ) {
+			acc[ name ] = description;
+		}
+		return acc;
+	}, {} );
+}
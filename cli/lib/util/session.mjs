@@ -0,0 +1,225 @@
+/**
+ * Utility functions for benchmarking with session state, such as cookies, headers, or a login.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/* eslint-disable jsdoc/valid-types */
+/** @typedef {import("puppeteer").Page} Page */
+/** @typedef {import("puppeteer").CookieParam} CookieParam */
+/* eslint-enable jsdoc/valid-types */
+
+/**
+ * @typedef {Object} Session
+ * @property {CookieParam[]}          cookies      Cookies to set before loading a URL.
+ * @property {Object<string, string>} headers      Extra HTTP headers to send with every request.
+ * @property {?string}                beforeScript Path to a module whose default export is called with the page
+ *                                                 before measuring, e.g. to log in.
+ */
+
+/**
+ * Parses a cookie file in either JSON or Netscape format.
+ *
+ * The JSON format is a list of cookie objects as exported by Puppeteer or common browser extensions. The Netscape
+ * format is the one used by curl or wget, with tab-separated fields per line.
+ *
+ * @param {string} file File path.
+ * @return {CookieParam[]} Cookies.
+ */
+export function parseCookieFile( file ) {
+	const content = fs.readFileSync( file, 'utf8' );
+
+	if ( /^\s*[\[{]/.test( content ) ) {
+		let cookies;
+		try {
+			cookies = JSON.parse( content );
+		} catch ( error ) {
+			throw new Error( `Invalid JSON in cookie file ${ file }.` );
+		}
+		// Some tools wrap the list in an object.
+		if ( ! Array.isArray( cookies ) ) {
+			cookies = cookies.cookies;
+		}
+		if ( ! Array.isArray( cookies ) ) {
+			throw new Error( `No list of cookies found in file ${ file }.` );
+		}
+		return cookies.map( ( cookie ) => {
+			const expires = cookie.expires ?? cookie.expirationDate;
+			return {
+				name: cookie.name,
+				value: cookie.value,
+				domain: cookie.domain,
+				path: cookie.path || '/',
+				secure: Boolean( cookie.secure ),
+				httpOnly: Boolean( cookie.httpOnly ),
+				...( cookie.sameSite &&
+				[ 'Strict', 'Lax', 'None' ].includes( cookie.sameSite )
+					? { sameSite: cookie.sameSite }
+					: {} ),
+				...( expires > 0 ? { expires } : {} ),
+			};
+		} );
+	}
+
+	const cookies = [];
+	content.split( /\r?\n/ ).forEach( ( line ) => {
+		let httpOnly = false;
+		if ( line.startsWith( '#HttpOnly_' ) ) {
+			httpOnly = true;
+			line = line.substring( '#HttpOnly_'.length );
+		} else if ( line.startsWith( '#' ) || line.trim().length === 0 ) {
+			return;
+		}
+
+		const fields = line.split( '\t' );
+		if ( fields.length < 7 ) {
+			throw new Error(
+				`Invalid line in Netscape cookie file ${ file }: ${ line }`
+			);
+		}
+		const [ domain, , cookiePath, secure, expires, name, ...value ] =
+			fields;
+		const expiresNumber = parseInt( expires, 10 );
+		cookies.push( {
+			name,
+			value: value.join( '\t' ),
+			domain,
+			path: cookiePath,
+			secure: secure.toUpperCase() === 'TRUE',
+			httpOnly,
+			...( expiresNumber > 0 ? { expires: expiresNumber } : {} ),
+		} );
+	} );
+	return cookies;
+}
+
+/**
+ * Parses HTTP header arguments in "Name: value" format.
+ *
+ * @param {string[]} headerArgs Header arguments.
+ * @return {Object<string, string>} Headers, keyed by name.
+ */
+export function parseHeaderArgs( headerArgs ) {
+	const headers = {};
+	headerArgs.forEach( ( headerArg ) => {
+		const sepIndex = headerArg.indexOf( ':' );
+		if ( sepIndex <= 0 ) {
+			throw new Error(
+				`Invalid header "${ headerArg }". Headers must be provided in "Name: value" format.`
+			);
+		}
+		headers[ headerArg.substring( 0, sepIndex ).trim() ] = headerArg
+			.substring( sepIndex + 1 )
+			.trim();
+	} );
+	return headers;
+}
+
+/**
+ * Gets the session from the command options.
+ *
+ * @param {Object}    opt
+ * @param {?string}   opt.cookieFile
+ * @param {?string[]} opt.header
+ * @param {?string}   opt.beforeScript
+ * @return {Session} Session.
+ */
+export function getSessionFromOptions( opt ) {
+	if ( opt.beforeScript && ! fs.existsSync( opt.beforeScript ) ) {
+		throw new Error(
+			`The script file ${ opt.beforeScript } provided via the --before-script argument does not exist.`
+		);
+	}
+
+	return {
+		cookies: opt.cookieFile ? parseCookieFile( opt.cookieFile ) : [],
+		headers: parseHeaderArgs( opt.header || [] ),
+		beforeScript: opt.beforeScript
+			? path.resolve( opt.beforeScript )
+			: null,
+	};
+}
+
+/**
+ * Applies the cookies and headers of a session to a page.
+ *
+ * @param {Page}                   page         Page.
+ * @param {Session}                session      Session.
+ * @param {Object<string, string>} extraHeaders Optional. Additional headers to send.
+ */
+export async function applySession( page, session, extraHeaders = {} ) {
+	const headers = { ...session.headers, ...extraHeaders };
+	if ( Object.keys( headers ).length ) {
+		await page.setExtraHTTPHeaders( headers );
+	}
+	if ( session.cookies.length ) {
+		await page.setCookie( ...session.cookies );
+	}
+}
+
+/**
+ * Runs the before script of a session, if any, and returns the session with the resulting cookies.
+ *
+ * The script module's default export is called with the page and an object with the URL to benchmark, after the
+ * session has been applied to the page. All cookies present afterwards, e.g. from logging in, are part of the
+ * returned session, so they can be carried over to other browsers.
+ *
+ * @param {Page}    page    Page.
+ * @param {Session} session Session.
+ * @param {string}  url     URL to benchmark.
+ * @return {Promise<Session>} Session including the cookies after running the script.
+ */
+export async function runBeforeScript( page, session, url ) {
+	if ( ! session.beforeScript ) {
+		return session;
+	}
+
+	const { default: beforeScript } = await import(
+		pathToFileURL( session.beforeScript ).href
+	);
+	if ( typeof beforeScript !== 'function' ) {
+		throw new Error(
+			`The script file ${ session.beforeScript } must have a function as its default export.`
+		);
+	}
+
+	await applySession( page, session );
+	await beforeScript( page, { url } );
+
+	const client = await page.createCDPSession();
+	const { cookies } = await client.send( 'Network.getAllCookies' );
+	await client.detach();
+
+	return {
+		...session,
+		cookies: cookies.map( ( cookie ) => ( {
+			name: cookie.name,
+			value: cookie.value,
+			domain: cookie.domain,
+			path: cookie.path,
+			secure: cookie.secure,
+			httpOnly: cookie.httpOnly,
+			...( cookie.sameSite ? { sameSite: cookie.sameSite } : {} ),
+			...( ! cookie.session ? { expires: cookie.expires } : {} ),
+		} ) ),
+	};
+}
@@ -0,0 +1,174 @@
+/**
+ * Utility functions to get URLs from XML sitemaps, such as the ones of WordPress core.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import fs from 'fs';
+
+/**
+ * Internal dependencies
+ */
+import { fetchText } from './fetch.mjs';
+
+/**
+ * @typedef {Object} SitemapGroup
+ * @property {string}   name Name of the group, i.e. the sitemap URL without page number, e.g.
+ *                           "https://example.com/wp-sitemap-posts-page".
+ * @property {string[]} urls URLs in the group.
+ */
+
+/**
+ * Gets the URLs from a sitemap, grouped by the sitemap they are listed in.
+ *
+ * If the sitemap is a sitemap index, all sitemaps listed in it are followed. Paginated sitemaps of the same kind,
+ * like "wp-sitemap-posts-post-1.xml" and "wp-sitemap-posts-post-2.xml" in WordPress core, form a single group. If only
+ * the home URL of a site is given, its WordPress core sitemap at "/wp-sitemap.xml" is used.
+ *
+ * @param {string} sitemap Sitemap URL or file.
+ * @return {Promise<SitemapGroup[]>} Groups of URLs, in the order of the sitemaps.
+ */
+export async function getSitemapURLGroups( sitemap ) {
+	/** @type {Map<string, string[]>} */
+	const groups = new Map();
+	const visited = new Set();
+
+	const readSitemap = async ( location ) => {
+		if ( visited.has( location ) ) {
+			return;
+		}
+		visited.add( location );
+
+		const xml = /^https?:\/\//.test( location )
+			? await fetchText( location )
+			: fs.readFileSync( location, 'utf8' );
+
+		if ( /<sitemapindex[\s>]/.test( xml ) ) {
+			for ( const childLocation of getLocations( xml, 'sitemap' ) ) {
+				await readSitemap( childLocation );
+			}
+			return;
+		}
+
+		const name = location.replace( /-\d+\.xml$/, '' );
+		if ( ! groups.has( name ) ) {
+			groups.set( name, [] );
+		}
+		groups.get( name ).push( ...getLocations( xml, 'url' ) );
+	};
+
+	await readSitemap( getSitemapLocation( sitemap ) );
+
+	return [ ...groups.entries() ].map( ( [ name, urls ] ) => ( {
+		name,
+		urls,
+	} ) );
+}
+
+/**
+ * Picks a sample of URLs from groups of URLs, stratified by group.
+ *
+ * The sample size is distributed as evenly as possible across the groups, so that e.g. pages and taxonomy archives
+ * are represented even if a site has many more posts. Within every group, the URLs are picked at even intervals, so
+ * that the sample is the same across runs as long as the sitemap doesn't change.
+ *
+ * @param {SitemapGroup[]} groups Groups of URLs.
+ * @param {number}         size   Sample size.
+ * @return {string[]} Sampled URLs, ordered by group.
+ */
+export function sampleSitemapURLGroups( groups, size ) {
+	const counts = groups.map( () => 0 );
+
+	// Assign the sample size one by one to every group which still has URLs left, until none is left.
+	let remaining = size;
+	while ( remaining > 0 ) {
+		let assigned = false;
+		groups.forEach( ( group, index ) => {
+			if ( remaining > 0 && counts[ index ] < group.urls.length ) {
+				counts[ index ]++;
+				remaining--;
+				assigned = true;
+			}
+		} );
+		if ( ! assigned ) {
+			break;
+		}
+	}
+
+	return groups.flatMap( ( group, index ) => {
+		const step = group.urls.length / counts[ index ];
+		return Array.from(
+			{ length: counts[ index ] },
+			( _, n ) => group.urls[ Math.floor( n * step ) ]
+		);
+	} );
+}
+
+/**
+ * Gets the location of the sitemap to read.
+ *
+ * @param {string} sitemap Sitemap URL or file, or home URL of a WordPress site.
+ * @return {string} Sitemap URL or file.
+ */
+function getSitemapLocation( sitemap ) {
+	if ( ! /^https?:\/\//.test( sitemap ) ) {
+		return sitemap;
+	}
+
+	const url = new URL( sitemap );
+	if ( url.pathname === '/' && ! url.search ) {
+		url.pathname = '/wp-sitemap.xml';
+	}
+	return url.toString();
+}
+
+/**
+ * Gets the locations from the entries of a sitemap or sitemap index.
+ *
+ * @param {string} xml Sitemap XML.
+ * @param {string} tag Tag of the entries, either 'url' for a sitemap or 'sitemap' for a sitemap index.
+ * @return {string[]} Locations.
+ */
+function getLocations( xml, tag ) {
+	const entryRegex = new RegExp(
+		`<${ tag }[\\s>][\\s\\S]*?<loc>([\\s\\S]*?)</loc>`,
+		'g'
+	);
+	return [ ...xml.matchAll( entryRegex ) ].map( ( match ) =>
+		decodeXML( match[ 1 ].trim() )
+	);
+}
+
+/**
+ * Decodes a text value from XML, which may be in a CDATA section or contain entities.
+ *
+ * @param {string} value XML text value.
+ * @return {string} Decoded value.
+ */
+function decodeXML( value ) {
+	const cdata = value.match( /^<!\[CDATA\[([\s\S]*)\]\]>$/ );
+	if ( cdata ) {
+		return cdata[ 1 ].trim();
+	}
+	return value
+		.replace( /&lt;/g, '<' )
+		.replace( /&gt;/g, '>' )
+		.replace( /&quot;/g, '"' )
+		.replace( /&apos;/g, "'" )
+		.replace( /&amp;/g, '&' );
+}
@@ -0,0 +1,222 @@
+/**
+ * Utility functions to compute main thread metrics from Chrome performance traces.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Trace categories needed to compute the metrics.
+ *
+ * @type {string[]}
+ */
+export const TRACE_CATEGORIES = [
+	'-*',
+	'toplevel',
+	'loading',
+	'v8',
+	'v8.execute',
+	'devtools.timeline',
+	'disabled-by-default-devtools.timeline',
+	'blink.user_timing',
+	'__metadata',
+];
+
+// Tasks longer than this (in milliseconds) are long tasks, see https://w3c.github.io/longtasks/.
+const LONG_TASK_THRESHOLD = 50;
+
+const TOP_LEVEL_TASK_NAMES = [ 'RunTask', 'ThreadControllerImpl::RunTask' ];
+
+const GROUP_SCRIPTING = 'scripting';
+const GROUP_LAYOUT = 'layout';
+
+// Trace events whose time is attributed to a group, including the time of any nested events not in another group.
+const EVENT_GROUPS = {
+	EvaluateScript: GROUP_SCRIPTING,
+	FunctionCall: GROUP_SCRIPTING,
+	TimerFire: GROUP_SCRIPTING,
+	EventDispatch: GROUP_SCRIPTING,
+	FireAnimationFrame: GROUP_SCRIPTING,
+	FireIdleCallback: GROUP_SCRIPTING,
+	RunMicrotasks: GROUP_SCRIPTING,
+	XHRReadyStateChange: GROUP_SCRIPTING,
+	XHRLoad: GROUP_SCRIPTING,
+	'v8.compile': GROUP_SCRIPTING,
+	'v8.compileModule': GROUP_SCRIPTING,
+	'v8.evaluateModule': GROUP_SCRIPTING,
+	'v8.produceCache': GROUP_SCRIPTING,
+	'v8.produceModuleCache': GROUP_SCRIPTING,
+	MinorGC: GROUP_SCRIPTING,
+	MajorGC: GROUP_SCRIPTING,
+	ScheduleStyleRecalculation: GROUP_LAYOUT,
+	UpdateLayoutTree: GROUP_LAYOUT,
+	InvalidateLayout: GROUP_LAYOUT,
+	Layout: GROUP_LAYOUT,
+};
+
+/**
+ * @typedef {Object} TraceEvent
+ * @property {string}  name Event name.
+ * @property {string}  cat  Event categories, comma-separated.
+ * @property {string}  ph   Event phase.
+ * @property {number}  pid  Process ID.
+ * @property {number}  tid  Thread ID.
+ * @property {number}  ts   Timestamp in microseconds.
+ * @property {?number} dur  Duration in microseconds, for complete events.
+ * @property {?Object} args Event arguments.
+ */
+
+/**
+ * @typedef {Object} TraceMetrics
+ * @property {number} TBT                 Total Blocking Time between FCP and the end of the trace, in milliseconds.
+ *                                        Unlike in Lighthouse, it does not stop at Time to Interactive, so it may be
+ *                                        higher than Lighthouse TBT.
+ * @property {number} LongTasks           Number of long tasks on the main thread.
+ * @property {number} MainThreadScripting Time spent on script evaluation on the main thread, in milliseconds.
+ * @property {number} MainThreadLayout    Time spent on style and layout on the main thread, in milliseconds.
+ */
+
+/**
+ * Finds the main thread of the renderer process for the main frame.
+ *
+ * @param {TraceEvent[]} events Trace events.
+ * @return {?{pid: number, tid: number, frameId: string}} Process ID, thread ID, and main frame ID, or null if not found.
+ */
+function findMainThread( events ) {
+	const tracingStarted = events.find(
+		( event ) => event.name === 'TracingStartedInBrowser'
+	);
+	const mainFrame =
+		tracingStarted &&
+		tracingStarted.args.data.frames &&
+		tracingStarted.args.data.frames.find( ( frame ) => ! frame.parent );
+	if ( ! mainFrame ) {
+		return null;
+	}
+
+	// The navigation may have moved the main frame to another renderer process.
+	let pid = mainFrame.processId;
+	events.forEach( ( event ) => {
+		if (
+			event.name === 'FrameCommittedInBrowser' &&
+			event.args.data.frame === mainFrame.frame &&
+			event.args.data.processId
+		) {
+			pid = event.args.data.processId;
+		}
+	} );
+
+	const threadNameEvent = events.find(
+		( event ) =>
+			event.ph === 'M' &&
+			event.name === 'thread_name' &&
+			event.pid === pid &&
+			event.args.name === 'CrRendererMain'
+	);
+	if ( ! threadNameEvent ) {
+		return null;
+	}
+
+	return { pid, tid: threadNameEvent.tid, frameId: mainFrame.frame };
+}
+
+/**
+ * Computes main thread metrics from a trace.
+ *
+ * @param {{traceEvents: TraceEvent[]}} trace Trace, as parsed from the data returned by Puppeteer's `page.tracing.stop()`.
+ * @return {?TraceMetrics} Trace metrics, or null if the main thread of the main frame is not found in the trace.
+ */
+export function getTraceMetrics( trace ) {
+	const events = trace.traceEvents;
+	const mainThread = findMainThread( events );
+	if ( ! mainThread ) {
+		return null;
+	}
+	const { pid, tid, frameId } = mainThread;
+
+	const mainThreadEvents = events
+		.filter(
+			( event ) =>
+				event.pid === pid &&
+				event.tid === tid &&
+				event.ph === 'X' &&
+				typeof event.dur === 'number'
+		)
+		// Sort by start time, with enclosing events before the events nested in them.
+		.sort( ( a, b ) => a.ts - b.ts || b.dur - a.dur );
+
+	const fcpEvent = events.find(
+		( event ) =>
+			event.name === 'firstContentfulPaint' &&
+			event.args &&
+			event.args.frame === frameId
+	);
+	const fcpTime = fcpEvent ? fcpEvent.ts : null;
+
+	const metrics = {
+		TBT: 0,
+		LongTasks: 0,
+		MainThreadScripting: 0,
+		MainThreadLayout: 0,
+	};
+
+	// Determine long tasks and blocking time from the top-level tasks.
+	let previousTaskEnd = 0;
+	mainThreadEvents.forEach( ( event ) => {
+		if (
+			! TOP_LEVEL_TASK_NAMES.includes( event.name ) ||
+			event.ts < previousTaskEnd // Skip tasks nested in another task.
+		) {
+			return;
+		}
+		previousTaskEnd = event.ts + event.dur;
+
+		if ( event.dur / 1000 <= LONG_TASK_THRESHOLD ) {
+			return;
+		}
+		metrics.LongTasks++;
+
+		// Like in Lighthouse, only the part of a task after FCP counts towards blocking time.
+		if ( fcpTime !== null && previousTaskEnd > fcpTime ) {
+			const duration =
+				( previousTaskEnd - Math.max( event.ts, fcpTime ) ) / 1000;
+			metrics.TBT += Math.max( duration - LONG_TASK_THRESHOLD, 0 );
+		}
+	} );
+
+	// Attribute the time of every event to the group of the innermost grouped event it is part of.
+	const groupTotals = { [ GROUP_SCRIPTING ]: 0, [ GROUP_LAYOUT ]: 0 };
+	const stack = [];
+	mainThreadEvents.forEach( ( event ) => {
+		while ( stack.length && stack[ stack.length - 1 ].end <= event.ts ) {
+			stack.pop();
+		}
+		const parent = stack.length ? stack[ stack.length - 1 ] : null;
+		const group =
+			EVENT_GROUPS[ event.name ] || ( parent ? parent.group : null );
+
+		if ( parent && parent.group ) {
+			groupTotals[ parent.group ] -= event.dur;
+		}
+		if ( group ) {
+			groupTotals[ group ] += event.dur;
+		}
+		stack.push( { end: event.ts + event.dur, group } );
+	} );
+
+	metrics.MainThreadScripting = groupTotals[ GROUP_SCRIPTING ] / 1000;
+	metrics.MainThreadLayout = groupTotals[ GROUP_LAYOUT ] / 1000;
+
+	return metrics;
+}
@@ -0,0 +1,159 @@
+/**
+ * Utility functions to read files with labeled and grouped URLs.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import fs from 'fs';
+
+/**
+ * @typedef {Object} URLEntry
+ * @property {string}  url   URL.
+ * @property {?string} label Label to show instead of the URL, or null.
+ * @property {?string} group Group that the URL belongs to, e.g. "single posts", or null.
+ */
+
+/**
+ * Checks whether a file is a CSV or JSON file with URL entries, rather than a plain text file with one URL per line.
+ *
+ * @param {string} file File path.
+ * @return {boolean} True if the file is a CSV or JSON file, false otherwise.
+ */
+export function isURLEntriesFile( file ) {
+	return /\.(csv|json)$/i.test( file );
+}
+
+/**
+ * Reads URL entries from a CSV or JSON file.
+ *
+ * A CSV file must have a header row with a "url" column, and may have "label" and "group" columns. A JSON file must
+ * contain a list of objects with a `url` and optionally a `label` and a `group`, or a list of URL strings.
+ *
+ * @param {string} file File path.
+ * @return {URLEntry[]} URL entries.
+ */
+export function readURLEntriesFile( file ) {
+	const content = fs.readFileSync( file, 'utf8' );
+	const entries = /\.json$/i.test( file )
+		? parseJSONEntries( content, file )
+		: parseCSVEntries( content, file );
+
+	return entries.map( ( entry, index ) => {
+		if ( ! entry || typeof entry.url !== 'string' || ! entry.url ) {
+			throw new Error(
+				`Invalid entry ${
+					index + 1
+				} in file ${ file }. Every entry must have a "url".`
+			);
+		}
+		return {
+			url: entry.url,
+			label: entry.label ? String( entry.label ) : null,
+			group: entry.group ? String( entry.group ) : null,
+		};
+	} );
+}
+
+/**
+ * Parses the entries of a JSON file.
+ *
+ * @param {string} content File content.
+ * @param {string} file    File path.
+ * @return {Object[]} Entries, where URL strings are converted to objects.
+ */
+function parseJSONEntries( content, file ) {
+	let entries;
+	try {
+		entries = JSON.parse( content );
+	} catch ( error ) {
+		throw new Error( `Invalid JSON in file ${ file }.` );
+	}
+	if ( ! Array.isArray( entries ) ) {
+		throw new Error(
+			`Invalid file ${ file }. It must contain a list of URLs.`
+		);
+	}
+	return entries.map( ( entry ) =>
+		typeof entry === 'string' ? { url: entry } : entry
+	);
+}
+
+/**
+ * Parses the entries of a CSV file, using its header row for the keys.
+ *
+ * @param {string} content File content.
+ * @param {string} file    File path.
+ * @return {Object[]} Entries, keyed by lowercase column name.
+ */
+function parseCSVEntries( content, file ) {
+	const [ header, ...rows ] = content
+		.split( /\r?\n/ )
+		.filter( ( line ) => line.trim().length > 0 )
+		.map( parseCSVLine );
+	const columns = ( header || [] ).map( ( column ) =>
+		column.trim().toLowerCase()
+	);
+	if ( ! columns.includes( 'url' ) ) {
+		throw new Error(
+			`Invalid CSV file ${ file }. It must have a header row with a "url" column.`
+		);
+	}
+
+	return rows.map( ( row ) =>
+		columns.reduce( ( entry, column, index ) => {
+			entry[ column ] = ( row[ index ] || '' ).trim();
+			return entry;
+		}, {} )
+	);
+}
+
+/**
+ * Parses a line of a CSV file, where values may be enclosed in double quotes.
+ *
+ * @param {string} line CSV line.
+ * @return {string[]} Values.
+ */
+function parseCSVLine( line ) {
+	const values = [];
+	let value = '';
+	let inQuotes = false;
+
+	for ( let i = 0; i < line.length; i++ ) {
+		const char = line[ i ];
+		if ( inQuotes ) {
+			if ( char === '"' && line[ i + 1 ] === '"' ) {
+				value += '"';
+				i++;
+			} else if ( char === '"' ) {
+				inQuotes = false;
+			} else {
+				value += char;
+			}
+		} else if ( char === '"' ) {
+			inQuotes = true;
+		} else if ( char === ',' ) {
+			values.push( value );
+			value = '';
+		} else {
+			value += char;
+		}
+	}
+	values.push( value );
+
+	return values;
+}
@@ -0,0 +1,72 @@
+/**
+ * Utility functions related to the web-vitals library.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire( import.meta.url );
+
+const librarySources = {};
+
+/**
+ * Gets the source of the web-vitals library build which exposes a `webVitals` global.
+ *
+ * The library is read from the locally installed `web-vitals` package, so that no network access is needed and all
+ * commands use the same pinned version.
+ *
+ * @param {boolean} withAttribution Whether to use the build which includes attribution data.
+ * @return {string} JavaScript source.
+ */
+export function getWebVitalsLibrarySource( withAttribution = false ) {
+	const file = withAttribution
+		? 'web-vitals.attribution.iife.js'
+		: 'web-vitals.iife.js';
+
+	if ( ! librarySources[ file ] ) {
+		// The main entry point is in the same directory as the IIFE builds, which the package does not export.
+		const distDir = path.dirname( require.resolve( 'web-vitals' ) );
+		librarySources[ file ] = fs.readFileSync(
+			path.join( distDir, file ),
+			'utf8'
+		);
+	}
+
+	return librarySources[ file ];
+}
+
+/**
+ * Creates a script which loads the web-vitals library and then runs the given code.
+ *
+ * The script is meant to be injected via `page.evaluateOnNewDocument()` before navigating, so that the page is
+ * observed from navigation start and its Content Security Policy does not apply. The given code is only run in the
+ * top-level frame.
+ *
+ * @param {string}  code            Code to run, which can use the `webVitals` global.
+ * @param {boolean} withAttribution Whether to use the build which includes attribution data.
+ * @return {string} JavaScript source.
+ */
+export function createWebVitalsScript( code, withAttribution = false ) {
+	return `${ getWebVitalsLibrarySource( withAttribution ) }
+if ( window === window.top ) {
+${ code }
+}`;
+}
@@ -0,0 +1,97 @@
+/**
+ * Functions to cache WebPageTest results on disk.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Internal dependencies
+ */
+import { getResultJson, DEFAULT_WPT_HOST } from './result.mjs';
+
+/**
+ * Gets the result data of a completed WebPageTest test, from the on-disk cache if available.
+ *
+ * Results are only cached once a test is completed, since they don't change afterwards. This makes repeated lookups
+ * of large results instant, and keeps results available after WebPageTest has purged them.
+ *
+ * @param {string}  testId         WebPageTest test result ID.
+ * @param {Object}  options        Options.
+ * @param {string}  options.host   Optional. WebPageTest host. Default is the public instance.
+ * @param {?string} options.apiKey Optional. WebPageTest API key. Default none.
+ * @param {boolean} options.cache  Optional. Whether to use the cache. Default true.
+ * @return {Promise<Object>} Result data.
+ */
+export async function getCachedResultJson(
+	testId,
+	{ host = DEFAULT_WPT_HOST, apiKey = null, cache = true } = {}
+) {
+	if ( ! cache ) {
+		return getResultJson( testId, { host, apiKey } );
+	}
+
+	const file = getCacheFile( testId, host );
+	if ( fs.existsSync( file ) ) {
+		try {
+			return JSON.parse( fs.readFileSync( file, 'utf8' ) );
+		} catch ( error ) {
+			// Fetch the result again if the cache file is corrupted, e.g. from an interrupted write.
+		}
+	}
+
+	const data = await getResultJson( testId, { host, apiKey } );
+
+	// Write to a temporary file first, so that the cache file is never only partially written.
+	fs.mkdirSync( path.dirname( file ), { recursive: true } );
+	const tempFile = `${ file }.${ process.pid }.tmp`;
+	fs.writeFileSync( tempFile, JSON.stringify( data ) );
+	fs.renameSync( tempFile, file );
+
+	return data;
+}
+
+/**
+ * Gets the cache directory, which can be configured via the WPT_CACHE_DIR environment variable.
+ *
+ * @return {string} Cache directory.
+ */
+export function getCacheDir() {
+	return (
+		process.env.WPT_CACHE_DIR ||
+		path.join( os.homedir(), '.cache', 'wpp-research', 'wpt-results' )
+	);
+}
+
+/**
+ * Gets the cache file for a result, keyed by host and test ID.
+ *
+ * @param {string} testId WebPageTest test result ID.
+ * @param {string} host   WebPageTest host.
+ * @return {string} Cache file path.
+ */
+function getCacheFile( testId, host ) {
+	const url = new URL( host );
+	const hostKey = `${ url.host }${ url.pathname }`
+		.replace( /\/+$/, '' )
+		.replace( /[^A-Za-z0-9.-]/g, '_' );
+	return path.join( getCacheDir(), hostKey, `${ testId }.json` );
+}
@@ -0,0 +1,145 @@
+/**
+ * Functions to read WebPageTest results from local files.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import fs from 'fs';
+
+/**
+ * Reads the result data of a WebPageTest test from a local file.
+ *
+ * The file may either be a saved response of the WebPageTest "jsonResult.php" endpoint (or only its `data`), or a HAR
+ * export of a WebPageTest test. Either way, the returned data has the same structure as the data returned by
+ * `getResultJson()`, so that it can be used with `getResultMetrics()` and `getResultServerTiming()`.
+ *
+ * @param {string} file File path.
+ * @return {Object} Result data.
+ */
+export function readResultFile( file ) {
+	let content;
+	try {
+		content = JSON.parse( fs.readFileSync( file, 'utf8' ) );
+	} catch ( error ) {
+		throw new Error( `Invalid JSON in file ${ file }.` );
+	}
+
+	if ( content && content.log && Array.isArray( content.log.entries ) ) {
+		return getResultFromHar( content.log, file );
+	}
+
+	// A saved response of the "jsonResult.php" endpoint includes the status, while the data alone doesn't.
+	if ( content && content.statusCode !== undefined ) {
+		if ( content.statusCode !== 200 ) {
+			throw new Error(
+				`The result in file ${ file } is not completed: ${ content.statusText }`
+			);
+		}
+		content = content.data;
+	}
+
+	if ( ! content || ! content.runs ) {
+		throw new Error(
+			`Invalid file ${ file }. It must contain a WebPageTest JSON result or HAR export.`
+		);
+	}
+	return content;
+}
+
+/**
+ * Converts the log of a WebPageTest HAR export to result data.
+ *
+ * WebPageTest adds all metrics of a run to its page in the HAR, prefixed with an underscore (e.g. `_TTFB`), and
+ * identifies the run, view, and step of every page via its ID (e.g. "page_2_1_1" for the repeat view of run 2, step
+ * 1). The requests of every page are included with their response headers, so that e.g. Server-Timing metrics are
+ * available too.
+ *
+ * @param {Object} harLog HAR log.
+ * @param {string} file   File path, for error messages.
+ * @return {Object} Result data.
+ */
+function getResultFromHar( harLog, file ) {
+	const runs = {};
+
+	( harLog.pages || [] ).forEach( ( page ) => {
+		const idMatch = ( page.id || '' ).match(
+			/^page_(\d+)_(\d+)(?:_(\d+))?$/
+		);
+		const run = page._run ?? ( idMatch && Number( idMatch[ 1 ] ) );
+		const cached = page._cached ?? ( idMatch && Number( idMatch[ 2 ] ) );
+		const step =
+			page._step ??
+			( idMatch && idMatch[ 3 ] ? Number( idMatch[ 3 ] ) : 1 );
+		if ( ! run || cached === null ) {
+			throw new Error(
+				`Invalid HAR file ${ file }. It must be exported from WebPageTest.`
+			);
+		}
+
+		const data = {};
+		Object.entries( page ).forEach( ( [ key, value ] ) => {
+			if ( key.startsWith( '_' ) ) {
+				data[ key.substring( 1 ) ] = value;
+			}
+		} );
+		data.requests = harLog.entries
+			.filter( ( entry ) => entry.pageref === page.id )
+			.map( ( entry ) => ( {
+				...entry,
+				headers: {
+					request: formatHarHeaders( entry.request.headers ),
+					response: formatHarHeaders( entry.response.headers ),
+				},
+			} ) );
+
+		const viewKey = Number( cached ) ? 'repeatView' : 'firstView';
+		runs[ run ] = runs[ run ] || {};
+		runs[ run ][ viewKey ] = runs[ run ][ viewKey ] || [];
+		runs[ run ][ viewKey ][ step - 1 ] = data;
+	} );
+
+	if ( ! Object.keys( runs ).length ) {
+		throw new Error(
+			`Invalid HAR file ${ file }. It does not contain any pages.`
+		);
+	}
+
+	// Like in JSON results, the data of multiple steps is only listed separately for scripted tests.
+	Object.values( runs ).forEach( ( views ) => {
+		Object.entries( views ).forEach( ( [ viewKey, steps ] ) => {
+			views[ viewKey ] = steps.length > 1 ? { steps } : steps[ 0 ];
+		} );
+	} );
+
+	return {
+		testRuns: Object.keys( runs ).length,
+		runs,
+	};
+}
+
+/**
+ * Formats HAR headers like the headers in WebPageTest JSON results, e.g. "content-type: text/html".
+ *
+ * @param {Array<{name: string, value: string}>} headers HAR headers.
+ * @return {string[]} Formatted headers.
+ */
+function formatHarHeaders( headers ) {
+	return ( headers || [] ).map(
+		( { name, value } ) => `${ name }: ${ value }`
+	);
+}
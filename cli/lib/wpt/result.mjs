@@ -21,35 +21,80 @@
  */
 import { fetchJson } from '../util/fetch.mjs';
 import { calcPercentile } from '../util/math.mjs';
+import {
+	parseServerTiming,
+	getServerTimingDurations,
+	getServerTimingDescriptions,
+} from '../util/server-timing.mjs';
 
-let getServerTimingHeader;
+export const DEFAULT_WPT_HOST = 'https://www.webpagetest.org';
 
-export function isTestId( testId ) {
+export const VIEW_FIRST = 'first';
+export const VIEW_REPEAT = 'repeat';
+
+/**
+ * @typedef {Object} ResultView
+ * @property {string}  view Either 'first' for the first view or 'repeat' for the repeat view.
+ * @property {?number} step Step of a scripted test, starting at 1, or null for the first step.
+ */
+
+export const DEFAULT_RESULT_VIEW = { view: VIEW_FIRST, step: null };
+
+let getServerTimingHeaders;
+
+export function isTestId( testId, host = DEFAULT_WPT_HOST ) {
+	// Private instances are not bound to the date-based format of the public instance.
+	if ( host !== DEFAULT_WPT_HOST ) {
+		return !! testId.match( /^[A-Za-z0-9_-]+$/ );
+	}
 	return !! testId.match( /^[0-9]{6}_[A-Za-z0-9_]+$/ );
 }
 
-export function getTestIdFromResultUrl( resultUrl ) {
+function matchResultUrl_( resultUrl ) {
+	// Result URLs from any host are recognized, including private instances installed in a sub-directory.
 	const match = resultUrl.match(
-		/^https:\/\/www.webpagetest.org\/result\/([A-Za-z0-9_]+)/
+		/^(https?:\/\/[^?#]+?)\/result\/([A-Za-z0-9_-]+)/
 	);
-	if ( ! match || ! match[ 1 ] ) {
+	if ( ! match || ! match[ 2 ] ) {
 		throw new Error( 'Invalid WebPageTest result URL.' );
 	}
-	return match[ 1 ];
+	return match;
+}
+
+export function getTestIdFromResultUrl( resultUrl ) {
+	return matchResultUrl_( resultUrl )[ 2 ];
 }
 
-export function getResultUrlForTestId( testId ) {
-	return `https://www.webpagetest.org/result/${ testId }/`;
+export function getHostFromResultUrl( resultUrl ) {
+	return matchResultUrl_( resultUrl )[ 1 ];
 }
 
-export function getJsonResultUrlForTestId( testId, pretty ) {
-	return `https://www.webpagetest.org/jsonResult.php?test=${ testId }${
+export function getResultUrlForTestId( testId, host = DEFAULT_WPT_HOST ) {
+	return `${ host }/result/${ testId }/`;
+}
+
+export function getJsonResultUrlForTestId(
+	testId,
+	pretty,
+	host = DEFAULT_WPT_HOST
+) {
+	return `${ host }/jsonResult.php?test=${ testId }${
 		pretty ? '&pretty=1' : ''
 	}`;
 }
 
-export async function getResultJson( testId ) {
-	const result = await fetchJson( getJsonResultUrlForTestId( testId ) );
+export function getApiKeyHeaders( apiKey ) {
+	return apiKey ? { 'X-WPT-API-KEY': apiKey } : {};
+}
+
+export async function getResultJson(
+	testId,
+	{ host = DEFAULT_WPT_HOST, apiKey = null } = {}
+) {
+	const result = await fetchJson(
+		getJsonResultUrlForTestId( testId, false, host ),
+		getApiKeyHeaders( apiKey )
+	);
 	if ( ! result || ! result.statusCode || ! result.statusText ) {
 		throw new Error( 'Invalid result response' );
 	}
@@ -65,6 +110,53 @@ function getResultRuns_( result ) {
 	return Object.values( result.runs );
 }
 
+/**
+ * Gets the data for a view of a run, and for a step of it in case of a scripted test.
+ *
+ * Results of scripted tests with multiple steps contain the data for every step in a `steps` list of each view, while
+ * other results contain the data directly in each view.
+ *
+ * @param {Object}     run        Run data.
+ * @param {ResultView} resultView View and step to get the data for.
+ * @return {Object} Data for the view and step.
+ */
+function getRunViewData_( run, { view, step } ) {
+	const viewData = view === VIEW_REPEAT ? run.repeatView : run.firstView;
+	if ( ! viewData ) {
+		throw new Error(
+			`No ${ view } view found in run. Make sure the test was run with the corresponding view.`
+		);
+	}
+
+	if ( ! viewData.steps ) {
+		if ( step !== null && step !== 1 ) {
+			throw new Error(
+				`No step ${ step } found in run. Only scripted tests have multiple steps.`
+			);
+		}
+		return viewData;
+	}
+
+	const stepData = viewData.steps[ ( step || 1 ) - 1 ];
+	if ( ! stepData ) {
+		throw new Error(
+			`No step ${ step } found in run, which only has ${ viewData.steps.length } steps.`
+		);
+	}
+	return stepData;
+}
+
+/**
+ * Gets the label for a view and step of a result, e.g. "repeat view, step 2".
+ *
+ * @param {ResultView} resultView View and step.
+ * @return {string} Label.
+ */
+export function getResultViewLabel( { view, step } ) {
+	const label = `${ view } view`;
+	return step !== null ? `${ label }, step ${ step }` : label;
+}
+
 function createGetSingleMetricValue_( metric ) {
 	// The metrics listed here are those highlighted in the
 	// https://www.webpagetest.org/graph_page_data.php view.
@@ -72,96 +164,90 @@ function createGetSingleMetricValue_( metric ) {
 		case 'FCP':
 		case 'fcp':
 		case 'First Contentful Paint':
-			return ( run ) => run.firstView.firstContentfulPaint;
+			return ( data ) => data.firstContentfulPaint;
 		case 'LCP':
 		case 'lcp':
 		case 'Largest Contentful Paint':
-			return ( run ) =>
-				run.firstView[ 'chromeUserTiming.LargestContentfulPaint' ];
+			return ( data ) =>
+				data[ 'chromeUserTiming.LargestContentfulPaint' ];
 		case 'CLS':
 		case 'cls':
 		case 'Cumulative Layout Shift':
-			return ( run ) =>
-				run.firstView[ 'chromeUserTiming.CumulativeLayoutShift' ];
+			return ( data ) => data[ 'chromeUserTiming.CumulativeLayoutShift' ];
 		case 'TBT':
 		case 'tbt':
 		case 'Total Blocking Time':
-			return ( run ) => run.firstView.TotalBlockingTime;
+			return ( data ) => data.TotalBlockingTime;
 		case 'Load Time (onload)':
-			return ( run ) => run.firstView.docTime;
+			return ( data ) => data.docTime;
 		case 'Load Time (Navigation Timing)':
-			return ( run ) => run.firstView.loadEventStart;
+			return ( data ) => data.loadEventStart;
 		case 'DOM Content Loaded (Navigation Timing)':
-			return ( run ) => run.firstView.domContentLoadedEventStart;
+			return ( data ) => data.domContentLoadedEventStart;
 		case 'SI':
 		case 'si':
 		case 'Speed Index':
-			return ( run ) => run.firstView.SpeedIndex;
+			return ( data ) => data.SpeedIndex;
 		case 'TTFB':
 		case 'ttfb':
 		case 'Time to First Byte':
-			return ( run ) => run.firstView.TTFB;
+			return ( data ) => data.TTFB;
 		case 'Base Page SSL Time':
-			return ( run ) => run.firstView.basePageSSLTime;
+			return ( data ) => data.basePageSSLTime;
 		case 'TTSR':
 		case 'ttsr':
 		case 'Time to Start Render':
-			return ( run ) => run.firstView.render;
+			return ( data ) => data.render;
 		case 'TTI':
 		case 'tti':
 		case 'Time to Interactive':
-			return ( run ) => run.firstView.LastInteractive;
+			return ( data ) => data.LastInteractive;
 		case 'TTVC':
 		case 'ttvc':
 		case 'Time to Visually Complete':
-			return ( run ) => run.firstView.visualComplete;
+			return ( data ) => data.visualComplete;
 		case 'LVC':
 		case 'lvc':
 		case 'Last Visual Change':
-			return ( run ) => run.firstView.lastVisualChange;
+			return ( data ) => data.lastVisualChange;
 		case 'TTT':
 		case 'ttt':
 		case 'Time to Title':
-			return ( run ) => run.firstView.titleTime;
+			return ( data ) => data.titleTime;
 		case 'Fully Loaded':
-			return ( run ) => run.firstView.fullyLoaded;
+			return ( data ) => data.fullyLoaded;
 		case 'Estimated RTT to Server':
-			return ( run ) => run.firstView.server_rtt;
+			return ( data ) => data.server_rtt;
 		case 'DOM Elements':
-			return ( run ) => run.firstView.domElements;
+			return ( data ) => data.domElements;
 		case 'Connections':
-			return ( run ) => run.firstView.connections;
+			return ( data ) => data.connections;
 		case 'Requests (onload)':
-			return ( run ) => run.firstView.requestsDoc;
+			return ( data ) => data.requestsDoc;
 		case 'Requests (Fully Loaded)':
-			return ( run ) => run.firstView.requests;
+			return ( data ) => data.requests;
 		case 'Bytes In (onload)':
-			return ( run ) => run.firstView.bytesInDoc;
+			return ( data ) => data.bytesInDoc;
 		case 'Bytes In (Fully Loaded)':
-			return ( run ) => run.firstView.bytesIn;
+			return ( data ) => data.bytesIn;
 	}
 
 	if ( metric.startsWith( 'Server-Timing:' ) ) {
 		const stMetric = metric.substring( 'Server-Timing:'.length );
-		if ( ! getServerTimingHeader ) {
-			getServerTimingHeader = createGetResponseHeader_( 'Server-Timing' );
+		if ( ! getServerTimingHeaders ) {
+			getServerTimingHeaders =
+				createGetResponseHeaders_( 'Server-Timing' );
 		}
-		return ( run ) => {
-			const stHeader = getServerTimingHeader( run );
-			const stIndex = stHeader.indexOf( `${ stMetric };dur=` );
-			if ( stIndex < 0 ) {
+		return ( data ) => {
+			const stDurations = getServerTimingDurations(
+				parseServerTiming( getServerTimingHeaders( data ) )
+			);
+			if ( stDurations[ stMetric ] === undefined ) {
 				throw new Error(
 					`Server-Timing metric ${ stMetric } not present in run`
 				);
 			}
-			let stValue = stHeader.substring(
-				stIndex + `${ stMetric };dur=`.length
-			);
-			const nextIndex = stValue.indexOf( ',' );
-			if ( nextIndex >= 0 ) {
-				stValue = stValue.substring( 0, nextIndex );
-			}
-			return parseFloat( stValue.trim() );
+			return stDurations[ stMetric ];
 		};
 	}
 
@@ -191,12 +277,12 @@ function createGetMetricValue_( metric ) {
 		return toAddCallbacks.shift();
 	}
 
-	return ( run ) => {
+	return ( data ) => {
 		const toAddValues = toAddCallbacks.map( ( getValue ) =>
-			getValue( run )
+			getValue( data )
 		);
 		const toSubtractValues = toSubtractCallbacks.map( ( getValue ) =>
-			getValue( run )
+			getValue( data )
 		);
 		if (
 			toAddValues.includes( undefined ) ||
@@ -215,26 +301,23 @@ function createGetMetricValue_( metric ) {
 	};
 }
 
-function createGetResponseHeader_( headerName ) {
-	return ( run ) => {
+function createGetResponseHeaders_( headerName ) {
+	const prefix = `${ headerName.toLowerCase() }:`;
+	return ( data ) => {
 		if (
-			! run.firstView.requests.length ||
-			! run.firstView.requests[ 0 ].headers.response.length
+			! data.requests.length ||
+			! data.requests[ 0 ].headers.response.length
 		) {
 			throw new Error( 'No response headers found' );
 		}
-		const st = run.firstView.requests[ 0 ].headers.response.find(
-			( header ) => {
-				return (
-					header.startsWith( `${ headerName }: ` ) ||
-					header.startsWith( `${ headerName.toLowerCase() }: ` )
-				);
-			}
-		);
-		if ( ! st ) {
+		// A header may be present multiple times, so all of its values are returned.
+		const values = data.requests[ 0 ].headers.response
+			.filter( ( header ) => header.toLowerCase().startsWith( prefix ) )
+			.map( ( header ) => header.substring( prefix.length ).trim() );
+		if ( ! values.length ) {
 			throw new Error( `No response header ${ headerName } found` );
 		}
-		return st.substring( headerName.length + 2 );
+		return values;
 	};
 }
 
@@ -252,6 +335,7 @@ export function mergeResultMetrics( percentiles, ...resultMetrics ) {
 		},
 		{
 			name: resultMetrics[ 0 ].name,
+			description: resultMetrics[ 0 ].description,
 			runs: [],
 		}
 	);
@@ -266,12 +350,20 @@ export function mergeResultMetrics( percentiles, ...resultMetrics ) {
 	return merged;
 }
 
-export function getResultMetrics( percentiles, result, ...metrics ) {
+export function getResultMetrics(
+	percentiles,
+	result,
+	metrics,
+	resultView = DEFAULT_RESULT_VIEW
+) {
 	if ( ! metrics || ! metrics.length ) {
 		return [];
 	}
 
-	const runs = getResultRuns_( result );
+	// This throws if a run doesn't have the view or step, since that applies to all metrics.
+	const runs = getResultRuns_( result ).map( ( run ) =>
+		getRunViewData_( run, resultView )
+	);
 
 	return metrics.map( ( metric ) => {
 		const values = [];
@@ -305,46 +397,44 @@ export function getResultMetrics( percentiles, result, ...metrics ) {
 	} );
 }
 
-export function getResultServerTiming( percentiles, result ) {
-	const runs = getResultRuns_( result );
-	if ( ! getServerTimingHeader ) {
-		getServerTimingHeader = createGetResponseHeader_( 'Server-Timing' );
+export function getResultServerTiming(
+	percentiles,
+	result,
+	resultView = DEFAULT_RESULT_VIEW
+) {
+	const runs = getResultRuns_( result ).map( ( run ) =>
+		getRunViewData_( run, resultView )
+	);
+	if ( ! getServerTimingHeaders ) {
+		getServerTimingHeaders = createGetResponseHeaders_( 'Server-Timing' );
 	}
 
-	const stHeaders = runs.map( getServerTimingHeader );
+	const stRunMetrics = runs.map( ( run ) =>
+		parseServerTiming( getServerTimingHeaders( run ) )
+	);
 
-	// Get available metrics from first run header.
+	// Get available metrics from first run header, ignoring metrics without a duration.
 	const metrics = {};
-	stHeaders[ 0 ].split( ',' ).forEach( ( stValue ) => {
-		stValue = stValue.trim();
-		const sepIndex = stValue.indexOf( ';' );
-		if ( sepIndex < 0 ) {
-			throw new Error(
-				`Invalid Server-Timing header ${ stHeaders[ 0 ] }`
-			);
+	const stDescriptions = getServerTimingDescriptions( stRunMetrics[ 0 ] );
+	Object.keys( getServerTimingDurations( stRunMetrics[ 0 ] ) ).forEach(
+		( name ) => {
+			metrics[ name ] = {
+				name,
+				description: stDescriptions[ name ] || null,
+				runs: [],
+			};
 		}
-		const name = stValue.substring( 0, sepIndex );
-		metrics[ name ] = {
-			name,
-			runs: [],
-		};
-	} );
+	);
 
-	stHeaders.forEach( ( stHeader ) => {
-		const stValues = stHeader.split( ',' );
-		stValues.forEach( ( stValue ) => {
-			const parts = stValue.split( ';' );
-			if ( parts.length !== 2 ) {
-				throw new Error( `Invalid Server-Timing header ${ stHeader }` );
-			}
-			const name = parts[ 0 ].trim();
-			const value = parts[ 1 ].replace( 'dur=', '' ).trim();
+	stRunMetrics.forEach( ( stMetrics ) => {
+		const stDurations = getServerTimingDurations( stMetrics );
+		Object.entries( stDurations ).forEach( ( [ name, duration ] ) => {
 			if ( ! metrics[ name ] ) {
 				throw new Error(
 					`Invalid Server-Timing header: Metric ${ name } not present in every run`
 				);
 			}
-			metrics[ name ].runs.push( parseFloat( value ) );
+			metrics[ name ].runs.push( duration );
 		} );
 	} );
 
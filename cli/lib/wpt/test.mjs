@@ -0,0 +1,155 @@
+/**
+ * Functions to submit WebPageTest tests and to wait for their completion.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { fetchJson } from '../util/fetch.mjs';
+import { DEFAULT_WPT_HOST, getApiKeyHeaders } from './result.mjs';
+
+/**
+ * @typedef {Object} WptConfig
+ * @property {string}  host   WebPageTest host.
+ * @property {?string} apiKey WebPageTest API key, or null.
+ */
+
+/**
+ * @typedef {Object} TestParams
+ * @property {?string} url          URL to test, or null if the script navigates to it.
+ * @property {?string} location     Location to test from, e.g. "Dulles:Chrome", or null for the default location.
+ * @property {?string} connectivity Connectivity profile, e.g. "Cable" or "4G", or null for the default profile.
+ * @property {number}  runs         Number of test runs.
+ * @property {boolean} repeatView   Whether to also test the repeat view.
+ * @property {?string} script       Test script, or null.
+ */
+
+/**
+ * @typedef {Object} TestStatus
+ * @property {boolean} completed  Whether the test is completed.
+ * @property {string}  statusText Status text, e.g. "Waiting behind 2 other tests...".
+ */
+
+/**
+ * Submits a test to WebPageTest.
+ *
+ * @param {TestParams} params Test parameters.
+ * @param {WptConfig}  config WebPageTest host and API key.
+ * @return {Promise<{testId: string, userUrl: string}>} Test result ID and URL of the result page.
+ */
+export async function submitTest(
+	params,
+	{ host = DEFAULT_WPT_HOST, apiKey = null } = {}
+) {
+	const query = new URLSearchParams( { f: 'json' } );
+	if ( params.url ) {
+		query.set( 'url', params.url );
+	}
+	if ( params.location ) {
+		query.set( 'location', params.location );
+	}
+	if ( params.connectivity ) {
+		query.set( 'connectivity', params.connectivity );
+	}
+	query.set( 'runs', String( params.runs ) );
+	query.set( 'fvonly', params.repeatView ? '0' : '1' );
+	if ( params.script ) {
+		query.set( 'script', params.script );
+	}
+
+	const response = await fetchJson(
+		`${ host }/runtest.php?${ query.toString() }`,
+		getApiKeyHeaders( apiKey )
+	);
+	if ( ! response || ! response.statusCode ) {
+		throw new Error( 'Invalid test submission response' );
+	}
+	if ( response.statusCode !== 200 || ! response.data ) {
+		throw new Error( `Test submission failed: ${ response.statusText }` );
+	}
+	return {
+		testId: response.data.testId,
+		userUrl: response.data.userUrl,
+	};
+}
+
+/**
+ * Gets the status of a test.
+ *
+ * @param {string}    testId WebPageTest test result ID.
+ * @param {WptConfig} config WebPageTest host and API key.
+ * @return {Promise<TestStatus>} Test status.
+ */
+export async function getTestStatus(
+	testId,
+	{ host = DEFAULT_WPT_HOST, apiKey = null } = {}
+) {
+	const response = await fetchJson(
+		`${ host }/testStatus.php?test=${ testId }&f=json`,
+		getApiKeyHeaders( apiKey )
+	);
+	if ( ! response || ! response.statusCode ) {
+		throw new Error( 'Invalid test status response' );
+	}
+	// Status codes 100 and 101 mean that the test is running or waiting in the queue.
+	if ( response.statusCode >= 400 ) {
+		throw new Error( `Test failed: ${ response.statusText }` );
+	}
+	return {
+		completed: response.statusCode === 200,
+		statusText: response.statusText,
+	};
+}
+
+/**
+ * Waits for a test to complete, by polling its status.
+ *
+ * @param {string}                     testId                 WebPageTest test result ID.
+ * @param {WptConfig}                  config                 WebPageTest host and API key.
+ * @param {Object}                     options                Polling options.
+ * @param {number}                     options.pollInterval   Number of seconds to wait between status requests.
+ * @param {number}                     options.timeout        Number of seconds after which to stop waiting.
+ * @param {function(TestStatus): void} options.onStatusChange Optional. Callback for every change in status.
+ * @return {Promise<void>} Promise which resolves once the test is completed.
+ */
+export async function waitForTest(
+	testId,
+	config,
+	{ pollInterval, timeout, onStatusChange = () => {} }
+) {
+	const endTime = Date.now() + timeout * 1000;
+	let lastStatusText = null;
+
+	for (;;) {
+		const status = await getTestStatus( testId, config );
+		if ( status.statusText !== lastStatusText ) {
+			lastStatusText = status.statusText;
+			onStatusChange( status );
+		}
+		if ( status.completed ) {
+			return;
+		}
+		if ( Date.now() + pollInterval * 1000 > endTime ) {
+			throw new Error(
+				`Test ${ testId } did not complete within ${ timeout } seconds`
+			);
+		}
+		await new Promise( ( resolve ) => {
+			setTimeout( resolve, pollInterval * 1000 );
+		} );
+	}
+}
@@ -37,10 +37,18 @@ import {
 	handler as benchmarkWebVitalsHandler,
 	options as benchmarkWebVitalsOptions,
 } from './commands/benchmark-web-vitals.mjs';
+import {
+	handler as reportHandler,
+	options as reportOptions,
+} from './commands/report.mjs';
 import {
 	handler as wptMetricsHandler,
 	options as wptMetricsOptions,
 } from './commands/wpt-metrics.mjs';
+import {
+	handler as wptRunHandler,
+	options as wptRunOptions,
+} from './commands/wpt-run.mjs';
 import {
 	handler as wptServerTimingHandler,
 	options as wptServerTimingOptions,
@@ -102,9 +110,17 @@ withOptions(
 )
 	.description( 'Runs Web Vitals benchmarks for an URL' )
 	.action( catchException( benchmarkWebVitalsHandler ) );
+withOptions( program.command( 'report' ), reportOptions )
+	.description( 'Aggregates samples saved by the benchmark commands' )
+	.action( catchException( reportHandler ) );
 withOptions( program.command( 'wpt-metrics' ), wptMetricsOptions )
 	.description( 'Gets performance metrics for a WebPageTest result' )
 	.action( catchException( wptMetricsHandler ) );
+withOptions( program.command( 'wpt-run' ), wptRunOptions )
+	.description(
+		'Runs a WebPageTest test and gets performance metrics for its result'
+	)
+	.action( catchException( wptRunHandler ) );
 withOptions( program.command( 'wpt-server-timing' ), wptServerTimingOptions )
 	.description( 'Gets Server-Timing metrics for a WebPageTest result' )
 	.action( catchException( wptServerTimingHandler ) );
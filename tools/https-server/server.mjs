@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Local HTTPS server with a self-signed certificate, to verify the "node" engine of benchmark-server-timing.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import http2 from 'http2';
+import os from 'os';
+import path from 'path';
+
+const port = Number( process.env.PORT ) || 8443;
+
+/**
+ * Creates a self-signed certificate for localhost with the openssl CLI.
+ *
+ * @return {{key: Buffer, cert: Buffer}} Private key and certificate.
+ */
+function createCertificate() {
+	const dir = fs.mkdtempSync( path.join( os.tmpdir(), 'https-server-' ) );
+	const keyFile = path.join( dir, 'key.pem' );
+	const certFile = path.join( dir, 'cert.pem' );
+	execFileSync(
+		'openssl',
+		[
+			'req',
+			'-x509',
+			'-newkey',
+			'rsa:2048',
+			'-nodes',
+			'-days',
+			'1',
+			'-subj',
+			'/CN=localhost',
+			'-keyout',
+			keyFile,
+			'-out',
+			certFile,
+		],
+		{ stdio: 'ignore' }
+	);
+	const certificate = {
+		key: fs.readFileSync( keyFile ),
+		cert: fs.readFileSync( certFile ),
+	};
+	fs.rmSync( dir, { recursive: true } );
+	return certificate;
+}
+
+// HTTP/1.1 is allowed as well, so that the fallback of the "node" engine can be verified too.
+const server = http2.createSecureServer(
+	{ ...createCertificate(), allowHTTP1: true },
+	( req, res ) => {
+		const appDuration = 5 + Math.random() * 10;
+		const dbDuration = 1 + Math.random() * 5;
+		res.setHeader( 'Content-Type', 'text/html' );
+		res.setHeader( 'Server-Timing', [
+			`app;dur=${ appDuration.toFixed( 2 ) };desc="Application"`,
+			'cache;desc="No duration"',
+		] );
+		res.setHeader( 'Trailer', 'Server-Timing' );
+		res.write( `<p>Served over HTTP/${ req.httpVersion }</p>` );
+		res.addTrailers( {
+			'Server-Timing': `db;dur=${ dbDuration.toFixed(
+				2
+			) };desc="Database"`,
+		} );
+		res.end();
+	}
+);
+
+server.listen( port, () => {
+	// eslint-disable-next-line no-console
+	console.log( `Listening on https://localhost:${ port }/` );
+} );
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the wpt-run command against the mock WebPageTest server, for a successful, a timed out, and a failed test.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import assert from 'assert';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+/**
+ * Internal dependencies
+ */
+import { createMockWptServer } from './server.mjs';
+
+const CLI_FILE = fileURLToPath(
+	new URL( '../../cli/run.mjs', import.meta.url )
+);
+
+/**
+ * Runs the wpt-run command against a WebPageTest host.
+ *
+ * @param {string}   host WebPageTest host.
+ * @param {string[]} args Additional arguments.
+ * @return {Promise<{stdout: string, stderr: string}>} Output of the command.
+ */
+function runWptRun( host, args ) {
+	return promisify( execFile )(
+		process.execPath,
+		[
+			CLI_FILE,
+			'wpt-run',
+			'--wpt-host',
+			host,
+			'--poll-interval',
+			'0.1',
+			'--no-cache',
+			'--metrics',
+			'TTFB',
+			'FCP',
+			...args,
+		],
+		// Disable colors, so that the output can be checked as plain text.
+		{ env: { ...process.env, FORCE_COLOR: '0' }, timeout: 30000 }
+	);
+}
+
+const checks = {
+	'completed test': async ( host ) => {
+		const { stdout, stderr } = await runWptRun( host, [
+			'--url',
+			'https://example.com/',
+			'--runs',
+			'3',
+			'--format',
+			'csv',
+		] );
+		assert.match( stderr, /Submitted test mock_\d+/ );
+		assert.match( stderr, /Waiting behind 1 other test\.\.\./ );
+		assert.match( stderr, /Test Complete/ );
+		// The runs take 110, 120, and 130 milliseconds until the first byte.
+		assert.match( stdout, /^TTFB,120$/m );
+		assert.match( stdout, /^FCP,520$/m );
+	},
+	'timed out test': async ( host ) => {
+		const { stdout, stderr } = await runWptRun( host, [
+			'--url',
+			'https://example.com/timeout/',
+			'--timeout',
+			'1',
+		] );
+		assert.match( stderr, /did not complete within 1 seconds/ );
+		assert.strictEqual( stdout, '' );
+	},
+	'failed test': async ( host ) => {
+		const { stdout, stderr } = await runWptRun( host, [
+			'--url',
+			'https://example.com/fail/',
+		] );
+		assert.match(
+			stderr,
+			/Error: Test failed: The page could not be loaded\./
+		);
+		assert.strictEqual( stdout, '' );
+	},
+};
+
+const server = createMockWptServer();
+await new Promise( ( resolve ) => server.listen( 0, 'localhost', resolve ) );
+const host = `http://localhost:${ server.address().port }`;
+
+let failures = 0;
+for ( const [ name, check ] of Object.entries( checks ) ) {
+	try {
+		await check( host );
+		// eslint-disable-next-line no-console
+		console.log( `✔ ${ name }` );
+	} catch ( error ) {
+		failures++;
+		// eslint-disable-next-line no-console
+		console.log( `✘ ${ name }: ${ error.message }` );
+	}
+}
+
+server.close();
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Mock WebPageTest server, to verify the wpt-run command without a real WebPageTest instance.
+ *
+ * WPP Research, Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+/*
+ * The outcome of a test depends on the URL to test: URLs containing "fail" fail while running, URLs containing
+ * "timeout" stay in the queue forever, and any other URLs complete after two status requests.
+ */
+const OUTCOME_FAIL = 'fail';
+const OUTCOME_TIMEOUT = 'timeout';
+const OUTCOME_SUCCESS = 'success';
+
+/**
+ * Creates a mock WebPageTest server, which supports the runtest.php, testStatus.php, and jsonResult.php endpoints.
+ *
+ * @return {http.Server} Server, which is not listening yet.
+ */
+export function createMockWptServer() {
+	const tests = {};
+	let lastTestId = 0;
+
+	return http.createServer( ( req, res ) => {
+		const url = new URL( req.url, 'http://localhost' );
+		const query = url.searchParams;
+		const send = ( statusCode, statusText, data ) => {
+			res.setHeader( 'Content-Type', 'application/json' );
+			res.end( JSON.stringify( { statusCode, statusText, data } ) );
+		};
+
+		if ( url.pathname === '/runtest.php' ) {
+			const testURL = query.get( 'url' ) || '';
+			if ( ! testURL && ! query.get( 'script' ) ) {
+				send(
+					400,
+					'Invalid URL, please try submitting your test request again.'
+				);
+				return;
+			}
+			lastTestId++;
+			const testId = `mock_${ lastTestId }`;
+			let outcome = OUTCOME_SUCCESS;
+			if ( testURL.includes( OUTCOME_FAIL ) ) {
+				outcome = OUTCOME_FAIL;
+			} else if ( testURL.includes( OUTCOME_TIMEOUT ) ) {
+				outcome = OUTCOME_TIMEOUT;
+			}
+			tests[ testId ] = {
+				outcome,
+				runs: Number( query.get( 'runs' ) ) || 1,
+				repeatView: query.get( 'fvonly' ) === '0',
+				polls: 0,
+			};
+			send( 200, 'Ok', {
+				testId,
+				userUrl: `http://${ req.headers.host }/result/${ testId }/`,
+			} );
+			return;
+		}
+
+		const test = tests[ query.get( 'test' ) ];
+		if ( ! test ) {
+			send( 400, 'Test not found' );
+			return;
+		}
+
+		if ( url.pathname === '/testStatus.php' ) {
+			test.polls++;
+			if ( test.outcome === OUTCOME_TIMEOUT || test.polls === 1 ) {
+				send( 101, 'Waiting behind 1 other test...' );
+			} else if ( test.outcome === OUTCOME_FAIL ) {
+				send( 400, 'The page could not be loaded' );
+			} else if ( test.polls === 2 ) {
+				send( 100, 'Test Started 1 second ago' );
+			} else {
+				send( 200, 'Test Complete' );
+			}
+			return;
+		}
+
+		if ( url.pathname === '/jsonResult.php' ) {
+			if ( test.outcome !== OUTCOME_SUCCESS || test.polls < 3 ) {
+				send( 100, 'Test not complete' );
+				return;
+			}
+			// Every run takes a bit longer than the previous one, so that the median is predictable.
+			const getViewData = ( run ) => ( {
+				TTFB: 100 + run * 10,
+				firstContentfulPaint: 500 + run * 10,
+				'chromeUserTiming.LargestContentfulPaint': 900 + run * 10,
+			} );
+			const runs = {};
+			for ( let run = 1; run <= test.runs; run++ ) {
+				runs[ run ] = {
+					firstView: getViewData( run ),
+					repeatView: test.repeatView
+						? getViewData( run )
+						: undefined,
+				};
+			}
+			send( 200, 'Test Complete', { testRuns: test.runs, runs } );
+			return;
+		}
+
+		res.statusCode = 404;
+		res.end();
+	} );
+}
+
+// Start the server if this file is run directly, rather than imported.
+if ( import.meta.url === pathToFileURL( process.argv[ 1 ] ).href ) {
+	const port = Number( process.env.PORT ) || 8090;
+	createMockWptServer().listen( port, () => {
+		// eslint-disable-next-line no-console
+		console.log( `Listening on http://localhost:${ port }` );
+	} );
+}